@@ -0,0 +1,25 @@
+import { HEALTH_STATUSES, getLiveness, getReadiness } from "../services/health.js";
+
+// Liveness probe: 200 while the process serves requests
+export function getLive(req, res) {
+    res.status(200).json({
+        message: "Ok!",
+        ...getLiveness()
+    });
+}
+
+// Readiness probe: 200 while ready (possibly degraded), 503 when a critical component is down
+export async function getReady(req, res) {
+    try {
+        const readiness = await getReadiness();
+
+        res.set("Cache-Control", "no-store");
+        res.status(readiness.status === HEALTH_STATUSES.DOWN ? 503 : 200).json(readiness);
+    } catch (error) {
+        console.error("Error in getReady controller:", error.message);
+        res.status(503).json({
+            status: HEALTH_STATUSES.DOWN,
+            message: "Readiness check failed"
+        });
+    }
+}
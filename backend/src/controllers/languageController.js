@@ -0,0 +1,28 @@
+import { LANGUAGES } from "../services/languages.js";
+import executor from "../services/executor.js";
+import { HARNESS_LANGUAGES } from "../services/harness.js";
+
+
+// List the languages the configured execution backend can run
+export async function getLanguages(req, res) {
+    try {
+        const installed = await executor.listLanguages();
+
+        const languages = installed.map(({ id, name, version }) => ({
+            id,
+            name,
+            version,
+            compiled: Boolean(LANGUAGES[id].compile),
+            supportsSignature: HARNESS_LANGUAGES.includes(id),
+            timeMultiplier: LANGUAGES[id].limits.timeMultiplier,
+            memoryMultiplier: LANGUAGES[id].limits.memoryMultiplier,
+        }));
+
+        res.status(200).json({
+            languages
+        });
+    } catch (error) {
+        console.error("Error in getLanguages controller: ", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+}
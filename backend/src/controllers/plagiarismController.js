@@ -0,0 +1,146 @@
+import Problem from "../models/Problem.js";
+import PlagiarismReport from "../models/PlagiarismReport.js";
+import executionQueue from "../services/executionQueue.js";
+
+// Load a problem for its creator or an admin, sending the error response otherwise
+async function findReviewableProblem(req, res) {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        res.status(400).json({
+            message: "Invalid problem ID"
+        });
+        return null;
+    }
+
+    const problem = await Problem.findById(id);
+    if (!problem) {
+        res.status(404).json({
+            message: "Problem not found"
+        });
+        return null;
+    }
+
+    if (problem.createdBy.toString() !== req.user._id.toString() && req.user.role !== "admin") {
+        res.status(403).json({
+            message: "You are not authorized to review this problem's submissions"
+        });
+        return null;
+    }
+
+    return problem;
+}
+
+// Start comparing a problem's submissions for plagiarism
+export async function startPlagiarismReport(req, res) {
+    try {
+        const problem = await findReviewableProblem(req, res);
+        if (!problem) return;
+
+        const { threshold, acceptedOnly } = req.body;
+        if (threshold !== undefined && (typeof threshold !== "number" || !(threshold >= 0 && threshold <= 1))) {
+            return res.status(400).json({
+                message: "threshold must be a number between 0 and 1"
+            });
+        }
+        if (acceptedOnly !== undefined && typeof acceptedOnly !== "boolean") {
+            return res.status(400).json({
+                message: "acceptedOnly must be a boolean"
+            });
+        }
+
+        // One report per problem at a time
+        const inProgress = await PlagiarismReport.findOne({ problem: problem._id, status: { $in: ["queued", "running"] } });
+        if (inProgress) {
+            return res.status(409).json({
+                message: "A plagiarism check of this problem is already in progress",
+                reportId: inProgress._id
+            });
+        }
+
+        const report = await PlagiarismReport.create({
+            problem: problem._id,
+            requestedBy: req.user._id,
+            threshold,
+            acceptedOnly
+        });
+
+        try {
+            const job = await executionQueue.enqueue("plagiarism", req.user._id, { reportId: report._id.toString() });
+            report.job = job._id;
+            await report.save();
+        } catch (error) {
+            await PlagiarismReport.updateOne({ _id: report._id }, { status: "failed", error: error.message });
+            throw error;
+        }
+
+        res.status(202).json({
+            message: "Plagiarism check queued",
+            reportId: report._id,
+            jobId: report.job,
+            statusUrl: `/api/problems/${problem._id}/plagiarism/${report._id}`
+        });
+    } catch (error) {
+        console.error("Error in startPlagiarismReport controller:", error.message);
+        res.status(500).json({
+            message: "Internal Server Error"
+        });
+    }
+}
+
+// List a problem's plagiarism reports, newest first (without the pairs)
+export async function getPlagiarismReports(req, res) {
+    try {
+        const problem = await findReviewableProblem(req, res);
+        if (!problem) return;
+
+        const reports = await PlagiarismReport.find({ problem: problem._id })
+            .sort({ createdAt: -1 })
+            .select("-pairs")
+            .lean();
+
+        res.status(200).json({
+            reports
+        });
+    } catch (error) {
+        console.error("Error in getPlagiarismReports controller:", error.message);
+        res.status(500).json({
+            message: "Internal Server Error"
+        });
+    }
+}
+
+// Get one plagiarism report with its similar pairs and their matched regions
+export async function getPlagiarismReportById(req, res) {
+    try {
+        const problem = await findReviewableProblem(req, res);
+        if (!problem) return;
+
+        const { reportId } = req.params;
+        if (!reportId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                message: "Invalid report ID"
+            });
+        }
+
+        const report = await PlagiarismReport.findOne({ _id: reportId, problem: problem._id })
+            .populate("pairs.userA", "name email")
+            .populate("pairs.userB", "name email")
+            .lean();
+
+        if (!report) {
+            return res.status(404).json({
+                message: "Plagiarism report not found"
+            });
+        }
+
+        res.status(200).json({
+            report
+        });
+    } catch (error) {
+        console.error("Error in getPlagiarismReportById controller:", error.message);
+        res.status(500).json({
+            message: "Internal Server Error"
+        });
+    }
+}
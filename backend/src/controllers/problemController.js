@@ -1,102 +1,410 @@
-import Problem from "../models/Problem.js";
+import Problem, { LIMIT_RANGES, PROBLEM_TYPES } from "../models/Problem.js";
+import { CHECKER_TYPES } from "../services/checkers.js";
+import { validateSignature, validateHarnessInput, generateStarterCode, HARNESS_LANGUAGES } from "../services/harness.js";
+import { LANGUAGE_IDS, isSupportedLanguage } from "../services/languages.js";
+import executionQueue from "../services/executionQueue.js";
+import { unsupportedProblemType } from "../services/executor.js";
+import { isTestDataRef, testDataExists, externalizeTestCases } from "../services/testData.js";
+
+const MAX_REFERENCE_SOLUTIONS = 5;
+// Bounds for the input sizes a scaling generator is run with
+const SCALING_SIZES = { minCount: 3, maxCount: 12, max: 10000000 };
+// Every reference solution runs every test, which can take a while
+const TEST_VALIDATION_TIMEOUT = parseInt(process.env.TEST_VALIDATION_TIMEOUT) || 300000; // 5 minutes
+
+// Fields that decide how tests are judged; changing any of them re-checks the reference solutions
+const JUDGING_FIELDS = [
+    "testCases",
+    "referenceSolutions",
+    "inputValidator",
+    "checker",
+    "problemType",
+    "interactor",
+    "signature",
+    "timeLimitMs",
+    "memoryLimitMb",
+    "outputLimitKb",
+    "languageLimits"
+];
+
+// Validate execution limit fields, returns an error message or null
+function validateLimits(data) {
+    for (const field of ["timeLimitMs", "memoryLimitMb", "outputLimitKb"]) {
+        if (data[field] === undefined) continue;
+
+        const { min, max } = LIMIT_RANGES[field];
+        if (typeof data[field] !== "number" || !Number.isFinite(data[field]) || data[field] < min || data[field] > max) {
+            return `${field} must be a number between ${min} and ${max}`;
+        }
+    }
 
-// Create a new problem (Admin/Authorized users only)
-export async function createProblem(req, res) {
-    try {
-        const {
-            title,
-            description,
-            difficulty,
-            category,
-            tags,
-            examples,
-            testCases,
-            starterCode,
-            constraints,
-            hints
-        } = req.body;
+    if (data.languageLimits === undefined) return null;
 
-        const userId = req.user._id;
+    if (!Array.isArray(data.languageLimits)) {
+        return "languageLimits must be an array";
+    }
 
-        // Validate required fields
-        if (!title || !description || !difficulty || !category || !examples || !testCases || !starterCode) {
-            return res.status(400).json({
-                message: "Required fields are missing: title, description, difficulty, category, examples, testCases, starterCode"
-            });
+    const { min, max } = LIMIT_RANGES.multiplier;
+    const seenLanguages = new Set();
+
+    for (const languageLimit of data.languageLimits) {
+        if (!isSupportedLanguage(languageLimit?.language)) {
+            return `Invalid language in languageLimits: ${languageLimit?.language}`;
+        }
+        if (seenLanguages.has(languageLimit.language)) {
+            return `Duplicate languageLimits entry for: ${languageLimit.language}`;
         }
+        seenLanguages.add(languageLimit.language);
 
-        // Validate examples array
-        if (!Array.isArray(examples) || examples.length === 0) {
-            return res.status(400).json({
-                message: "At least one example is required"
-            });
+        for (const field of ["timeMultiplier", "memoryMultiplier"]) {
+            const value = languageLimit[field];
+            if (value === undefined) continue;
+            if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+                return `${field} for ${languageLimit.language} must be a number between ${min} and ${max}`;
+            }
         }
+    }
 
-        // Validate testCases array
-        if (!Array.isArray(testCases) || testCases.length === 0) {
-            return res.status(400).json({
-                message: "At least one test case is required"
-            });
+    return null;
+}
+
+// Fill in starter code generated from the signature for languages the author did not provide
+function withGeneratedStarterCode(signature, starterCode = []) {
+    const provided = new Set(starterCode.map(sc => sc.language));
+
+    return [
+        ...starterCode,
+        ...HARNESS_LANGUAGES
+            .filter(language => !provided.has(language))
+            .map(language => ({ language, code: generateStarterCode(signature, language) }))
+    ];
+}
+
+// Check every test input matches the signature, returns an error message or null
+function validateTestInputsForSignature(signature, testCases) {
+    for (const [index, testCase] of testCases.entries()) {
+        // Harness inputs are small; data in the test data store is not parsed here
+        if (isTestDataRef(testCase.inputFile)) continue;
+        const inputError = validateHarnessInput(signature, testCase.input);
+        if (inputError) {
+            return `Test case ${index + 1}: ${inputError}`;
         }
+    }
+    return null;
+}
 
-        // Validate starterCode array
-        if (!Array.isArray(starterCode) || starterCode.length === 0) {
-            return res.status(400).json({
-                message: "Starter code for at least one language is required"
-            });
+// Validate the output checker, returns an error message or null
+function validateChecker(checker) {
+    if (checker === undefined) return null;
+
+    if (!checker || typeof checker !== "object" || !CHECKER_TYPES.includes(checker.type)) {
+        return `Checker type must be one of: ${CHECKER_TYPES.join(", ")}`;
+    }
+
+    for (const field of ["absoluteEpsilon", "relativeEpsilon"]) {
+        const value = checker[field];
+        if (value !== undefined && (typeof value !== "number" || !Number.isFinite(value) || value < 0)) {
+            return `Checker ${field} must be a non-negative number`;
         }
+    }
 
-        // Validate difficulty
-        const validDifficulties = ["easy", "medium", "hard"];
-        if (!validDifficulties.includes(difficulty)) {
-            return res.status(400).json({
-                message: "Difficulty must be one of: easy, medium, hard"
-            });
+    if (checker.type === "custom") {
+        if (!isSupportedLanguage(checker.language)) {
+            return `Custom checker language must be one of: ${LANGUAGE_IDS.join(", ")}`;
         }
+        if (!checker.code || checker.code.trim() === "") {
+            return "Custom checker code cannot be empty";
+        }
+    }
 
-        // Validate starter code languages
-        const validLanguages = ["javascript", "java", "python"];
-        for (const code of starterCode) {
-            if (!validLanguages.includes(code.language)) {
-                return res.status(400).json({
-                    message: `Invalid language: ${code.language}. Supported languages: javascript, java, python`
-                });
+    return null;
+}
+
+// Validate the problem type and its interactor, returns an error message or null
+function validateInteractive({ problemType = "standard", interactor, signature }) {
+    if (!PROBLEM_TYPES.includes(problemType)) {
+        return `Problem type must be one of: ${PROBLEM_TYPES.join(", ")}`;
+    }
+    if (problemType !== "interactive") return null;
+
+    const unsupported = unsupportedProblemType(problemType);
+    if (unsupported) return unsupported;
+
+    if (!interactor) {
+        return "Interactive problems require an interactor";
+    }
+    const interactorError = validateAuthorProgram(interactor, "Interactor");
+    if (interactorError) return interactorError;
+    // Harness drivers read all of stdin up front, which an interaction never ends
+    if (signature) {
+        return "Interactive problems cannot have a function signature";
+    }
+
+    return null;
+}
+
+// Validate reference solutions, returns an error message or null
+function validateReferenceSolutions(referenceSolutions, signature) {
+    if (referenceSolutions === undefined) return null;
+
+    if (!Array.isArray(referenceSolutions)) {
+        return "referenceSolutions must be an array";
+    }
+    if (referenceSolutions.length > MAX_REFERENCE_SOLUTIONS) {
+        return `At most ${MAX_REFERENCE_SOLUTIONS} reference solutions are allowed`;
+    }
+
+    const languages = signature ? HARNESS_LANGUAGES : LANGUAGE_IDS;
+    for (const [index, solution] of referenceSolutions.entries()) {
+        if (!solution || !languages.includes(solution.language)) {
+            return `Reference solution ${index + 1}: language must be one of: ${languages.join(", ")}`;
+        }
+        if (!solution.code || solution.code.trim() === "") {
+            return `Reference solution ${index + 1}: code cannot be empty`;
+        }
+    }
+
+    return null;
+}
+
+// Validate the scaling generator used for complexity estimation, returns an error message or null
+function validateScalingGenerator(generator, problemType) {
+    if (generator === undefined || generator === null) return null;
+
+    const programError = validateAuthorProgram(generator, "Scaling generator");
+    if (programError) return programError;
+    if (problemType === "interactive") {
+        return "Complexity estimation is not available for interactive problems";
+    }
+
+    const { sizes } = generator;
+    if (sizes === undefined) return null;
+    if (!Array.isArray(sizes) || sizes.length < SCALING_SIZES.minCount || sizes.length > SCALING_SIZES.maxCount) {
+        return `Scaling generator sizes must be a list of ${SCALING_SIZES.minCount} to ${SCALING_SIZES.maxCount} sizes`;
+    }
+    for (const [index, size] of sizes.entries()) {
+        if (!Number.isInteger(size) || size < 1 || size > SCALING_SIZES.max) {
+            return `Scaling generator sizes must be integers between 1 and ${SCALING_SIZES.max}`;
+        }
+        if (index > 0 && size <= sizes[index - 1]) {
+            return "Scaling generator sizes must be increasing";
+        }
+    }
+
+    return null;
+}
+
+// Validate an author program (interactor, input validator), returns an error message or null
+function validateAuthorProgram(program, label) {
+    if (!program || typeof program !== "object") {
+        return `${label} must be an object with language and code`;
+    }
+    if (!isSupportedLanguage(program.language)) {
+        return `${label} language must be one of: ${LANGUAGE_IDS.join(", ")}`;
+    }
+    if (!program.code || program.code.trim() === "") {
+        return `${label} code cannot be empty`;
+    }
+    return null;
+}
+
+// Check each test case has an input and expected output, inline or in the test data store
+// (reference solutions can fill in missing outputs), returns an error message or null
+async function validateTestCaseData(testCases, { canGenerateOutputs }) {
+    for (const [index, testCase] of testCases.entries()) {
+        for (const field of ["inputFile", "outputFile"]) {
+            const ref = testCase[field];
+            if (ref === undefined || ref === null) continue;
+
+            if (!isTestDataRef(ref)) {
+                return `Test case ${index + 1}: ${field} must be { sha256, size } as returned by the test data upload`;
             }
-            if (!code.code || code.code.trim() === "") {
-                return res.status(400).json({
-                    message: `Starter code cannot be empty for language: ${code.language}`
-                });
+            if (!(await testDataExists(ref))) {
+                return `Test case ${index + 1}: ${field} was not found in the test data store`;
             }
         }
 
-        // Validate examples structure
-        for (const example of examples) {
-            if (!example.input || !example.output) {
-                return res.status(400).json({
-                    message: "Each example must have input and output fields"
-                });
-            }
+        const hasInput = testCase.input || testCase.inputFile;
+        const hasOutput = testCase.expectedOutput || testCase.outputFile;
+        if (!hasInput || (!hasOutput && !canGenerateOutputs)) {
+            return "Each test case must have input and expectedOutput fields";
         }
+    }
+    return null;
+}
 
-        // Validate test cases structure
-        for (const testCase of testCases) {
-            if (!testCase.input || !testCase.expectedOutput) {
-                return res.status(400).json({
-                    message: "Each test case must have input and expectedOutput fields"
-                });
-            }
+/**
+ * Check the problem's test cases with its input validator and reference
+ * solutions through the execution queue (see judge.validateProblemTests).
+ * Resolves to { valid, testCases, inputErrors, failures }, or null when
+ * there is nothing to check them with.
+ */
+export async function checkTestCases(userId, problemData) {
+    if (!problemData.inputValidator && !problemData.referenceSolutions?.length) return null;
+
+    const draft = Object.fromEntries(JUDGING_FIELDS
+        .filter(field => problemData[field] !== undefined)
+        .map(field => [field, problemData[field]]));
+
+    return await executionQueue.runJob("validate", userId, { problem: draft }, {
+        timeout: TEST_VALIDATION_TIMEOUT
+    });
+}
+
+// Response body for test cases that failed checkTestCases()
+export function testValidationFailure(validation) {
+    if (validation.inputErrors.length > 0) {
+        return {
+            message: "Test inputs break the problem's constraints",
+            inputErrors: validation.inputErrors
+        };
+    }
+    return {
+        message: "Reference solutions disagree with the test cases",
+        failures: validation.failures
+    };
+}
+
+/**
+ * Validate a complete problem definition (a create request, or a problem read
+ * from a package) and fill in starter code generated from its signature.
+ * Resolves to { error } or { problem } with the fields Problem.create takes,
+ * less createdBy and the test verification fields.
+ */
+export async function validateNewProblem(data) {
+    const {
+        title,
+        description,
+        difficulty,
+        category,
+        tags,
+        examples,
+        testCases,
+        starterCode: providedStarterCode,
+        constraints,
+        hints,
+        timeLimitMs,
+        memoryLimitMb,
+        outputLimitKb,
+        languageLimits,
+        checker,
+        signature,
+        problemType,
+        interactor,
+        referenceSolutions,
+        inputValidator,
+        scalingGenerator
+    } = data;
+
+    // Validate function signature; starter code is generated from it where not provided
+    if (signature) {
+        const signatureError = validateSignature(signature);
+        if (signatureError) {
+            return { error: signatureError };
         }
+    }
+    const starterCode = signature && (providedStarterCode === undefined || Array.isArray(providedStarterCode))
+        ? withGeneratedStarterCode(signature, providedStarterCode)
+        : providedStarterCode;
 
-        // Check if problem with same title already exists
-        const existingProblem = await Problem.findOne({ title });
-        if (existingProblem) {
-            return res.status(409).json({
-                message: "A problem with this title already exists"
-            });
+    // Validate required fields
+    if (!title || !description || !difficulty || !category || !examples || !testCases || !starterCode) {
+        return { error: "Required fields are missing: title, description, difficulty, category, examples, testCases, starterCode" };
+    }
+
+    // Validate examples array
+    if (!Array.isArray(examples) || examples.length === 0) {
+        return { error: "At least one example is required" };
+    }
+
+    // Validate testCases array
+    if (!Array.isArray(testCases) || testCases.length === 0) {
+        return { error: "At least one test case is required" };
+    }
+
+    // Validate starterCode array
+    if (!Array.isArray(starterCode) || starterCode.length === 0) {
+        return { error: "Starter code for at least one language is required" };
+    }
+
+    // Validate difficulty
+    const validDifficulties = ["easy", "medium", "hard"];
+    if (!validDifficulties.includes(difficulty)) {
+        return { error: "Difficulty must be one of: easy, medium, hard" };
+    }
+
+    // Validate starter code languages
+    for (const code of starterCode) {
+        if (!isSupportedLanguage(code.language)) {
+            return { error: `Invalid language: ${code.language}. Supported languages: ${LANGUAGE_IDS.join(", ")}` };
+        }
+        if (!code.code || code.code.trim() === "") {
+            return { error: `Starter code cannot be empty for language: ${code.language}` };
         }
+    }
 
-        // Create the problem
-        const problem = await Problem.create({
+    // Validate execution limits
+    const limitsError = validateLimits(data);
+    if (limitsError) {
+        return { error: limitsError };
+    }
+
+    // Validate output checker
+    const checkerError = validateChecker(checker);
+    if (checkerError) {
+        return { error: checkerError };
+    }
+
+    // Validate the interactor of interactive problems
+    const interactiveError = validateInteractive({ problemType, interactor, signature });
+    if (interactiveError) {
+        return { error: interactiveError };
+    }
+
+    // Validate examples structure
+    for (const example of examples) {
+        if (!example.input || !example.output) {
+            return { error: "Each example must have input and output fields" };
+        }
+    }
+
+    // Validate reference solutions
+    const referenceError = validateReferenceSolutions(referenceSolutions, signature);
+    if (referenceError) {
+        return { error: referenceError };
+    }
+
+    // Validate input validator
+    if (inputValidator) {
+        const validatorError = validateAuthorProgram(inputValidator, "Input validator");
+        if (validatorError) {
+            return { error: validatorError };
+        }
+    }
+
+    const generatorError = validateScalingGenerator(scalingGenerator, problemType);
+    if (generatorError) {
+        return { error: generatorError };
+    }
+
+    // Validate test cases structure; reference solutions can fill in expected outputs,
+    // except for interactive problems where the expected output is the interactor's answer
+    const canGenerateOutputs = referenceSolutions?.length > 0 && problemType !== "interactive";
+    const testCaseError = await validateTestCaseData(testCases, { canGenerateOutputs });
+    if (testCaseError) {
+        return { error: testCaseError };
+    }
+
+    // Signature problems take one JSON value per parameter
+    if (signature) {
+        const inputError = validateTestInputsForSignature(signature, testCases);
+        if (inputError) {
+            return { error: inputError };
+        }
+    }
+
+    return {
+        problem: {
             title,
             description,
             difficulty,
@@ -107,6 +415,63 @@ export async function createProblem(req, res) {
             starterCode,
             constraints: constraints || "",
             hints: hints || [],
+            timeLimitMs,
+            memoryLimitMb,
+            outputLimitKb,
+            languageLimits: languageLimits || [],
+            checker,
+            signature: signature || null,
+            problemType: problemType || "standard",
+            interactor: problemType === "interactive" ? interactor : null,
+            referenceSolutions: referenceSolutions || [],
+            inputValidator: inputValidator || null,
+            scalingGenerator: scalingGenerator || null
+        }
+    };
+}
+
+// Create a new problem (Admin/Authorized users only)
+export async function createProblem(req, res) {
+    try {
+        const userId = req.user._id;
+
+        const { error, problem: problemData } = await validateNewProblem(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: error
+            });
+        }
+
+        // Check if problem with same title already exists
+        const existingProblem = await Problem.findOne({ title: problemData.title });
+        if (existingProblem) {
+            return res.status(409).json({
+                message: "A problem with this title already exists"
+            });
+        }
+
+        // Large test data goes to the test data store, keeping the problem document small
+        const storedTestCases = await externalizeTestCases(problemData.testCases);
+
+        // Check the test cases with the input validator and reference solutions
+        let validation;
+        try {
+            validation = await checkTestCases(userId, { ...problemData, testCases: storedTestCases });
+        } catch (error) {
+            return res.status(400).json({
+                message: `Could not validate the test cases: ${error.message}`
+            });
+        }
+        if (validation && !validation.valid) {
+            return res.status(400).json(testValidationFailure(validation));
+        }
+
+        // Create the problem
+        const problem = await Problem.create({
+            ...problemData,
+            testCases: validation ? validation.testCases : storedTestCases,
+            testsVerified: Boolean(validation),
+            testsVerifiedAt: validation ? new Date() : null,
             createdBy: userId,
         });
 
@@ -157,7 +522,7 @@ export async function getProblems(req, res) {
 
         // Get problems
         const problems = await Problem.find(filter)
-            .select("-testCases") // Don't send test cases in list view
+            .select("-testCases -checker.code -interactor.code -inputValidator.code -scalingGenerator.code -referenceSolutions") // Don't send test cases or judging programs in list view
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(parseInt(limit))
@@ -216,9 +581,14 @@ export async function getProblemByIdOrSlug(req, res) {
             });
         }
 
-        // Return problem without hidden test cases
+        // Return problem without hidden test cases, reference solutions or the judging programs' code
         const problemData = problem.toObject();
         problemData.testCases = problemData.testCases.filter(tc => !tc.isHidden);
+        delete problemData.referenceSolutions;
+        if (problemData.checker) delete problemData.checker.code;
+        if (problemData.interactor) delete problemData.interactor.code;
+        if (problemData.inputValidator) delete problemData.inputValidator.code;
+        if (problemData.scalingGenerator) delete problemData.scalingGenerator.code;
 
         res.status(200).json({
             problem: problemData
@@ -269,11 +639,37 @@ export async function updateProblem(req, res) {
             }
         }
 
+        // Validate function signature if provided, and regenerate starter code from it
+        if (updateData.signature) {
+            const signatureError = validateSignature(updateData.signature);
+            if (signatureError) {
+                return res.status(400).json({
+                    message: signatureError
+                });
+            }
+            if (updateData.starterCode === undefined || Array.isArray(updateData.starterCode)) {
+                updateData.starterCode = withGeneratedStarterCode(updateData.signature, updateData.starterCode);
+            }
+        }
+
+        // Test inputs must keep matching the (possibly new) signature
+        const effectiveSignature = updateData.signature !== undefined ? updateData.signature : problem.signature;
+        if (effectiveSignature && (updateData.signature || updateData.testCases)) {
+            const inputError = validateTestInputsForSignature(
+                effectiveSignature,
+                Array.isArray(updateData.testCases) ? updateData.testCases : problem.testCases
+            );
+            if (inputError) {
+                return res.status(400).json({
+                    message: inputError
+                });
+            }
+        }
+
         // Validate starter code languages if provided
         if (updateData.starterCode) {
-            const validLanguages = ["javascript", "java", "python"];
             for (const code of updateData.starterCode) {
-                if (!validLanguages.includes(code.language)) {
+                if (!isSupportedLanguage(code.language)) {
                     return res.status(400).json({
                         message: `Invalid language: ${code.language}`
                     });
@@ -281,11 +677,115 @@ export async function updateProblem(req, res) {
             }
         }
 
+        // Validate execution limits if provided
+        const limitsError = validateLimits(updateData);
+        if (limitsError) {
+            return res.status(400).json({
+                message: limitsError
+            });
+        }
+
+        // Validate output checker if provided
+        const checkerError = validateChecker(updateData.checker);
+        if (checkerError) {
+            return res.status(400).json({
+                message: checkerError
+            });
+        }
+
+        // The problem type, interactor and signature must stay consistent together
+        if (updateData.problemType !== undefined || updateData.interactor !== undefined || updateData.signature !== undefined) {
+            const interactiveError = validateInteractive({
+                problemType: updateData.problemType ?? problem.problemType,
+                interactor: updateData.interactor !== undefined ? updateData.interactor : problem.interactor,
+                signature: effectiveSignature
+            });
+            if (interactiveError) {
+                return res.status(400).json({
+                    message: interactiveError
+                });
+            }
+        }
+
+        // Validate reference solutions if provided
+        const referenceError = validateReferenceSolutions(updateData.referenceSolutions, effectiveSignature);
+        if (referenceError) {
+            return res.status(400).json({
+                message: referenceError
+            });
+        }
+
+        // Validate input validator if provided (null removes it)
+        if (updateData.inputValidator) {
+            const validatorError = validateAuthorProgram(updateData.inputValidator, "Input validator");
+            if (validatorError) {
+                return res.status(400).json({
+                    message: validatorError
+                });
+            }
+        }
+
+        // Validate scaling generator if provided (null removes it)
+        if (updateData.scalingGenerator !== undefined || updateData.problemType !== undefined) {
+            const generatorError = validateScalingGenerator(
+                updateData.scalingGenerator !== undefined ? updateData.scalingGenerator : problem.scalingGenerator?.toObject(),
+                updateData.problemType ?? problem.problemType
+            );
+            if (generatorError) {
+                return res.status(400).json({
+                    message: generatorError
+                });
+            }
+        }
+
+        // Validate test cases if provided, moving large test data to the test data store
+        if (updateData.testCases !== undefined) {
+            if (!Array.isArray(updateData.testCases) || updateData.testCases.length === 0) {
+                return res.status(400).json({
+                    message: "At least one test case is required"
+                });
+            }
+
+            const solutions = updateData.referenceSolutions !== undefined ? updateData.referenceSolutions : problem.referenceSolutions;
+            const testCaseError = await validateTestCaseData(updateData.testCases, {
+                canGenerateOutputs: solutions?.length > 0 && (updateData.problemType ?? problem.problemType) !== "interactive"
+            });
+            if (testCaseError) {
+                return res.status(400).json({
+                    message: testCaseError
+                });
+            }
+            updateData.testCases = await externalizeTestCases(updateData.testCases);
+        }
+
         // Prevent updating certain fields
         delete updateData.createdBy;
         delete updateData.totalSubmissions;
         delete updateData.totalAccepted;
         delete updateData.acceptanceRate;
+        delete updateData.testsVerified;
+        delete updateData.testsVerifiedAt;
+
+        // Re-check the test cases when anything that judges them changes
+        if (JUDGING_FIELDS.some(field => updateData[field] !== undefined)) {
+            let validation;
+            try {
+                validation = await checkTestCases(userId, { ...problem.toObject(), ...updateData });
+            } catch (error) {
+                return res.status(400).json({
+                    message: `Could not validate the test cases: ${error.message}`
+                });
+            }
+            if (validation && !validation.valid) {
+                return res.status(400).json(testValidationFailure(validation));
+            }
+
+            if (validation) {
+                updateData.testCases = validation.testCases;
+            }
+            updateData.testsVerified = Boolean(validation);
+            updateData.testsVerifiedAt = validation ? new Date() : null;
+        }
 
         // Update the problem
         Object.assign(problem, updateData);
@@ -405,7 +905,12 @@ export async function getProblemTestCases(req, res) {
         }
 
         res.status(200).json({
-            testCases: problem.testCases
+            testCases: problem.testCases,
+            checker: problem.checker,
+            interactor: problem.interactor,
+            referenceSolutions: problem.referenceSolutions,
+            inputValidator: problem.inputValidator,
+            scalingGenerator: problem.scalingGenerator
         });
     } catch (error) {
         console.error("Error in getProblemTestCases controller:", error.message);
@@ -0,0 +1,253 @@
+import Problem, { slugify } from "../models/Problem.js";
+import { validateNewProblem, checkTestCases, testValidationFailure } from "./problemController.js";
+import { externalizeTestCases } from "../services/testData.js";
+import {
+    MAX_PACKAGE_SIZE,
+    PACKAGE_INVALID,
+    PACKAGE_TOO_LARGE,
+    buildProblemPackage,
+    readProblemPackage
+} from "../services/problemPackage.js";
+import { ZIP_INVALID, ZIP_TOO_LARGE } from "../services/zip.js";
+
+function isAdmin(user) {
+    return user.role === "admin";
+}
+
+function sendPackage(res, fileName, buffer) {
+    res.attachment(fileName);
+    res.type("application/zip");
+    res.status(200).send(buffer);
+}
+
+// Read the raw request body, at most MAX_PACKAGE_SIZE bytes
+async function readPackageBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_PACKAGE_SIZE) {
+            const error = new Error(`Packages cannot exceed ${MAX_PACKAGE_SIZE} bytes`);
+            error.code = PACKAGE_TOO_LARGE;
+            throw error;
+        }
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+}
+
+// Export one problem as a package (creator or admin: packages hold the hidden tests)
+export async function exportProblem(req, res) {
+    try {
+        const { id } = req.params;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                message: "Invalid problem ID"
+            });
+        }
+
+        const problem = await Problem.findById(id).lean();
+        if (!problem) {
+            return res.status(404).json({
+                message: "Problem not found"
+            });
+        }
+
+        if (problem.createdBy.toString() !== req.user._id.toString() && !isAdmin(req.user)) {
+            return res.status(403).json({
+                message: "You are not authorized to export this problem"
+            });
+        }
+
+        sendPackage(res, `${problem.slug}.zip`, await buildProblemPackage([problem]));
+    } catch (error) {
+        if (error.code === PACKAGE_TOO_LARGE) {
+            return res.status(413).json({
+                message: error.message
+            });
+        }
+        console.error("Error in exportProblem controller:", error.message);
+        res.status(500).json({
+            message: "Internal Server Error"
+        });
+    }
+}
+
+// Export a category's active problems as one package (your own problems; admins get all of them)
+export async function exportProblems(req, res) {
+    try {
+        const { category } = req.query;
+
+        if (!category || typeof category !== "string") {
+            return res.status(400).json({
+                message: "category is required"
+            });
+        }
+
+        const filter = { category, isActive: true };
+        if (!isAdmin(req.user)) {
+            filter.createdBy = req.user._id;
+        }
+
+        const problems = await Problem.find(filter).sort({ createdAt: 1 }).lean();
+        if (problems.length === 0) {
+            return res.status(404).json({
+                message: "No problems to export in this category"
+            });
+        }
+
+        sendPackage(res, `${slugify(category) || "problems"}.zip`, await buildProblemPackage(problems));
+    } catch (error) {
+        if (error.code === PACKAGE_TOO_LARGE) {
+            return res.status(413).json({
+                message: error.message
+            });
+        }
+        console.error("Error in exportProblems controller:", error.message);
+        res.status(500).json({
+            message: "Internal Server Error"
+        });
+    }
+}
+
+/**
+ * Validate and (unless dry run) save one problem read from a package.
+ * Resolves to its entry in the import report.
+ */
+async function importPackageProblem({ slug, data, warnings }, { user, dryRun, upsert }) {
+    const failed = (error, details = {}) => ({ slug, status: "failed", error, ...details, warnings });
+
+    const { error, problem: problemData } = await validateNewProblem(data);
+    if (error) return failed(error);
+
+    const existing = await Problem.findOne({ slug });
+    if (existing && !upsert) {
+        return failed("A problem with this slug already exists (import with upsert=true to update it)");
+    }
+    if (existing && existing.createdBy.toString() !== user._id.toString() && !isAdmin(user)) {
+        return failed("You are not authorized to update the existing problem with this slug");
+    }
+    if (await Problem.exists({ title: problemData.title, _id: { $ne: existing?._id } })) {
+        return failed("A problem with this title already exists");
+    }
+
+    const action = existing ? "update" : "create";
+    // A dry run stores nothing, so the tests are not run against the reference solutions
+    if (dryRun) {
+        return { slug, title: problemData.title, action, status: "valid", warnings };
+    }
+
+    const storedTestCases = await externalizeTestCases(problemData.testCases);
+
+    let validation;
+    try {
+        validation = await checkTestCases(user._id, { ...problemData, testCases: storedTestCases });
+    } catch (error) {
+        return failed(`Could not validate the test cases: ${error.message}`);
+    }
+    if (validation && !validation.valid) {
+        const { message, ...details } = testValidationFailure(validation);
+        return failed(message, details);
+    }
+
+    const fields = {
+        ...problemData,
+        testCases: validation ? validation.testCases : storedTestCases,
+        testsVerified: Boolean(validation),
+        testsVerifiedAt: validation ? new Date() : null
+    };
+
+    let problem;
+    if (existing) {
+        Object.assign(existing, fields);
+        problem = await existing.save();
+    } else {
+        problem = await Problem.create({ ...fields, createdBy: user._id });
+    }
+
+    return {
+        slug,
+        title: problem.title,
+        action,
+        status: existing ? "updated" : "created",
+        problemId: problem._id,
+        testsVerified: problem.testsVerified,
+        warnings
+    };
+}
+
+// Import a package (zip as the raw request body); each problem is validated and reported on its own.
+// ?dryRun=true only validates, ?upsert=true updates problems whose slug exists,
+// ?category= and ?difficulty= are required for Polygon packages.
+export async function importProblems(req, res) {
+    try {
+        // A JSON body has already been consumed by the body parser
+        if (req.is("application/json")) {
+            return res.status(415).json({
+                message: "Send the package as the raw request body (Content-Type: application/zip)"
+            });
+        }
+
+        const declaredSize = parseInt(req.headers["content-length"]);
+        if (declaredSize > MAX_PACKAGE_SIZE) {
+            return res.status(413).json({
+                message: `Packages cannot exceed ${MAX_PACKAGE_SIZE} bytes`
+            });
+        }
+
+        const dryRun = req.query.dryRun === "true";
+        const upsert = req.query.upsert === "true";
+        const { category, difficulty } = req.query;
+
+        const buffer = await readPackageBody(req);
+        const { format, problems } = await readProblemPackage(buffer, { category, difficulty });
+
+        const results = [];
+        const seenSlugs = new Set();
+        // One at a time: each problem's tests may run against its reference solutions
+        for (const entry of problems) {
+            if (seenSlugs.has(entry.slug)) {
+                results.push({ slug: entry.slug, status: "failed", error: "The package holds another problem with this slug" });
+                continue;
+            }
+            seenSlugs.add(entry.slug);
+
+            if (entry.error) {
+                results.push({ slug: entry.slug, status: "failed", error: entry.error });
+                continue;
+            }
+            results.push(await importPackageProblem(entry, { user: req.user, dryRun, upsert }));
+        }
+
+        const summary = { total: results.length };
+        for (const status of ["valid", "created", "updated", "failed"]) {
+            summary[status] = results.filter(result => result.status === status).length;
+        }
+
+        res.status(200).json({
+            message: dryRun ? "Package checked" : "Package imported",
+            dryRun,
+            format,
+            summary,
+            results
+        });
+    } catch (error) {
+        if (error.code === PACKAGE_TOO_LARGE || error.code === ZIP_TOO_LARGE) {
+            return res.status(413).json({
+                message: error.message
+            });
+        }
+        if (error.code === PACKAGE_INVALID || error.code === ZIP_INVALID) {
+            return res.status(400).json({
+                message: error.message
+            });
+        }
+        console.error("Error in importProblems controller:", error.message);
+        res.status(500).json({
+            message: "Internal Server Error"
+        });
+    }
+}
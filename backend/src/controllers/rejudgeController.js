@@ -0,0 +1,155 @@
+import Problem from "../models/Problem.js";
+import Rejudge from "../models/Rejudge.js";
+import executionQueue from "../services/executionQueue.js";
+
+// Load a problem for its creator, sending the error response otherwise
+async function findOwnProblem(req, res) {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        res.status(400).json({
+            message: "Invalid problem ID"
+        });
+        return null;
+    }
+
+    const problem = await Problem.findById(id);
+    if (!problem) {
+        res.status(404).json({
+            message: "Problem not found"
+        });
+        return null;
+    }
+
+    // Only the creator can rejudge (add admin check if needed)
+    if (problem.createdBy.toString() !== req.user._id.toString()) {
+        res.status(403).json({
+            message: "You are not authorized to rejudge this problem"
+        });
+        return null;
+    }
+
+    return problem;
+}
+
+// Parse an optional date bound, returns a Date, null when absent, or undefined when invalid
+function parseDateBound(value) {
+    if (value === undefined || value === null || value === "") return null;
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Start rejudging a problem's submissions (all, or those made between `from` and `to`)
+export async function startRejudge(req, res) {
+    try {
+        const problem = await findOwnProblem(req, res);
+        if (!problem) return;
+
+        const from = parseDateBound(req.body.from);
+        const to = parseDateBound(req.body.to);
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({
+                message: "from and to must be valid dates"
+            });
+        }
+        if (from && to && from > to) {
+            return res.status(400).json({
+                message: "from must not be after to"
+            });
+        }
+
+        // One rejudge per problem at a time
+        const inProgress = await Rejudge.findOne({ problem: problem._id, status: { $in: ["queued", "running"] } });
+        if (inProgress) {
+            return res.status(409).json({
+                message: "A rejudge of this problem is already in progress",
+                rejudgeId: inProgress._id
+            });
+        }
+
+        const rejudge = await Rejudge.create({
+            problem: problem._id,
+            requestedBy: req.user._id,
+            from,
+            to
+        });
+
+        try {
+            const job = await executionQueue.enqueue("rejudge", req.user._id, { rejudgeId: rejudge._id.toString() });
+            rejudge.job = job._id;
+            await rejudge.save();
+        } catch (error) {
+            await Rejudge.updateOne({ _id: rejudge._id }, { status: "failed", error: error.message });
+            throw error;
+        }
+
+        res.status(202).json({
+            message: "Rejudge queued",
+            rejudgeId: rejudge._id,
+            jobId: rejudge.job,
+            statusUrl: `/api/problems/${problem._id}/rejudges/${rejudge._id}`
+        });
+    } catch (error) {
+        console.error("Error in startRejudge controller:", error.message);
+        res.status(500).json({
+            message: "Internal Server Error"
+        });
+    }
+}
+
+// List a problem's rejudges, newest first (without the per-submission changes)
+export async function getRejudges(req, res) {
+    try {
+        const problem = await findOwnProblem(req, res);
+        if (!problem) return;
+
+        const rejudges = await Rejudge.find({ problem: problem._id })
+            .sort({ createdAt: -1 })
+            .select("-changes")
+            .lean();
+
+        res.status(200).json({
+            rejudges
+        });
+    } catch (error) {
+        console.error("Error in getRejudges controller:", error.message);
+        res.status(500).json({
+            message: "Internal Server Error"
+        });
+    }
+}
+
+// Get one rejudge with the verdicts that flipped
+export async function getRejudgeById(req, res) {
+    try {
+        const problem = await findOwnProblem(req, res);
+        if (!problem) return;
+
+        const { rejudgeId } = req.params;
+        if (!rejudgeId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                message: "Invalid rejudge ID"
+            });
+        }
+
+        const rejudge = await Rejudge.findOne({ _id: rejudgeId, problem: problem._id })
+            .populate("changes.user", "name email")
+            .lean();
+
+        if (!rejudge) {
+            return res.status(404).json({
+                message: "Rejudge not found"
+            });
+        }
+
+        res.status(200).json({
+            rejudge
+        });
+    } catch (error) {
+        console.error("Error in getRejudgeById controller:", error.message);
+        res.status(500).json({
+            message: "Internal Server Error"
+        });
+    }
+}
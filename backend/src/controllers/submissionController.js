@@ -1,7 +1,72 @@
 import Problem from "../models/Problem.js";
-import codeExecutor from "../services/simpleCodeExecutor.js";
+import ExecutionJob from "../models/ExecutionJob.js";
+import Submission from "../models/Submission.js";
+import executionQueue from "../services/executionQueue.js";
+import { unsupportedProblemType } from "../services/executor.js";
+import resultCache from "../services/resultCache.js";
+import { VERDICT_LABELS } from "../services/verdicts.js";
+import { LANGUAGE_IDS, isSupportedLanguage } from "../services/languages.js";
+import { HARNESS_LANGUAGES } from "../services/harness.js";
+
+// Stress test bounds: search time (ms) and the largest size passed to the generator
+const STRESS_TIME_BUDGET = { min: 1000, max: 60000, default: 10000 };
+const STRESS_MAX_SIZE = { min: 1, max: 1000, default: 10 };
+// Compiling three programs and waiting in the queue come on top of the search itself
+const STRESS_JOB_OVERHEAD = 120000; // 2 minutes
+
 /**
- * Submit code for a problem and run test cases
+ * Strip input/output details from hidden test case results
+ */
+function hideHiddenTestDetails(results) {
+    return results.map(result => {
+        if (result.isHidden) {
+            return {
+                passed: result.passed,
+                verdict: result.verdict,
+                error: result.error,
+                executionTime: result.executionTime,
+                cpuTime: result.cpuTime,
+                peakMemory: result.peakMemory,
+                isHidden: true
+            };
+        }
+        return result;
+    });
+}
+
+/**
+ * Response body for a judged submission (hidden test details stripped)
+ */
+function formatSubmissionResult(testResults) {
+    return {
+        message: testResults.summary.compilationError
+            ? "Compilation failed"
+            : testResults.summary.allPassed ? "All tests passed!" : "Some tests failed",
+        submissionId: testResults.submissionId,
+        results: hideHiddenTestDetails(testResults.results),
+        summary: testResults.summary,
+        accepted: testResults.summary.allPassed,
+        verdict: testResults.summary.verdict,
+        verdictLabel: VERDICT_LABELS[testResults.summary.verdict]
+    };
+}
+
+/**
+ * Public view of a submission job: status, live progress and, once done, the result
+ */
+function formatSubmissionJob(job) {
+    return {
+        jobId: job._id,
+        status: job.status,
+        progress: job.progress,
+        result: job.status === "completed" ? formatSubmissionResult(job.result) : null,
+        error: job.status === "failed" ? job.error : null
+    };
+}
+
+/**
+ * Submit code for a problem. Judging happens in the background: the response
+ * carries a job id to poll or to stream progress from.
  */
 export async function submitCode(req, res) {
     try {
@@ -16,10 +81,15 @@ export async function submitCode(req, res) {
         }
 
         // Validate language
-        const validLanguages = ["javascript", "java", "python"];
-        if (!validLanguages.includes(language)) {
+        if (!isSupportedLanguage(language)) {
             return res.status(400).json({
-                message: "Invalid language. Supported languages: javascript, java, python"
+                message: `Invalid language. Supported languages: ${LANGUAGE_IDS.join(", ")}`
+            });
+        }
+
+        if (typeof problemId !== "string" || !problemId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                message: "Invalid problem ID"
             });
         }
 
@@ -38,6 +108,13 @@ export async function submitCode(req, res) {
             });
         }
 
+        const unsupported = unsupportedProblemType(problem.problemType);
+        if (unsupported) {
+            return res.status(501).json({
+                message: unsupported
+            });
+        }
+
         // Check if the language is supported for this problem
         const hasStarterCode = problem.starterCode.some(sc => sc.language === language);
         if (!hasStarterCode) {
@@ -46,40 +123,19 @@ export async function submitCode(req, res) {
             });
         }
 
-        // Run test cases
-        const testResults = await codeExecutor.runTestCases(code, language, problem.testCases);
-
-        // Filter out hidden test case details for response
-        const publicResults = testResults.results.map(result => {
-            if (result.isHidden) {
-                return {
-                    passed: result.passed,
-                    error: result.error,
-                    executionTime: result.executionTime,
-                    isHidden: true
-                };
-            }
-            return result;
+        // Queue the test run (the job persists the submission and updates stats)
+        const job = await executionQueue.enqueue("submit", userId, {
+            userId: userId.toString(),
+            problemId: problem._id.toString(),
+            code,
+            language
         });
 
-        // Update problem statistics if all tests passed
-        if (testResults.summary.allPassed) {
-            problem.totalAccepted += 1;
-        }
-        problem.totalSubmissions += 1;
-        
-        // Calculate acceptance rate
-        if (problem.totalSubmissions > 0) {
-            problem.acceptanceRate = Math.round((problem.totalAccepted / problem.totalSubmissions) * 100);
-        }
-
-        await problem.save();
-
-        res.status(200).json({
-            message: testResults.summary.allPassed ? "All tests passed!" : "Some tests failed",
-            results: publicResults,
-            summary: testResults.summary,
-            accepted: testResults.summary.allPassed
+        res.status(202).json({
+            message: "Submission queued",
+            jobId: job._id,
+            statusUrl: `/api/submissions/jobs/${job._id}`,
+            eventsUrl: `/api/submissions/jobs/${job._id}/events`
         });
 
     } catch (error) {
@@ -96,6 +152,7 @@ export async function submitCode(req, res) {
 export async function runCode(req, res) {
     try {
         const { problemId, code, language } = req.body;
+        const userId = req.user._id;
 
         // Validate required fields
         if (!problemId || !code || !language) {
@@ -105,10 +162,15 @@ export async function runCode(req, res) {
         }
 
         // Validate language
-        const validLanguages = ["javascript", "java", "python"];
-        if (!validLanguages.includes(language)) {
+        if (!isSupportedLanguage(language)) {
             return res.status(400).json({
-                message: "Invalid language. Supported languages: javascript, java, python"
+                message: `Invalid language. Supported languages: ${LANGUAGE_IDS.join(", ")}`
+            });
+        }
+
+        if (typeof problemId !== "string" || !problemId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                message: "Invalid problem ID"
             });
         }
 
@@ -127,6 +189,20 @@ export async function runCode(req, res) {
             });
         }
 
+        const unsupported = unsupportedProblemType(problem.problemType);
+        if (unsupported) {
+            return res.status(501).json({
+                message: unsupported
+            });
+        }
+
+        // Signature problems need a harness driver for the language
+        if (problem.signature && !HARNESS_LANGUAGES.includes(language)) {
+            return res.status(400).json({
+                message: `Language ${language} is not supported for this problem`
+            });
+        }
+
         // Get only visible test cases
         const visibleTestCases = problem.testCases.filter(tc => !tc.isHidden);
 
@@ -136,13 +212,25 @@ export async function runCode(req, res) {
             });
         }
 
-        // Run visible test cases only
-        const testResults = await codeExecutor.runTestCases(code, language, visibleTestCases);
+        // Run visible test cases only, unless the same run is cached (see middleware/executionCache.js)
+        const cache = req.executionCache;
+        let testResults = cache?.hit?.result;
+        if (!testResults) {
+            testResults = await executionQueue.runJob("run", userId, {
+                problemId: problem._id.toString(),
+                code,
+                language
+            });
+            if (cache) resultCache.set(cache.key, testResults);
+        }
 
         res.status(200).json({
             message: "Code execution completed",
             results: testResults.results,
-            summary: testResults.summary
+            summary: testResults.summary,
+            verdict: testResults.summary.verdict,
+            verdictLabel: VERDICT_LABELS[testResults.summary.verdict],
+            cached: Boolean(cache?.hit)
         });
 
     } catch (error) {
@@ -154,11 +242,13 @@ export async function runCode(req, res) {
 }
 
 /**
- * Execute custom input for a problem (for custom testing)
+ * Execute custom input for a problem (for custom testing).
+ * With a problemId, the code runs through that problem's harness and limits.
  */
 export async function executeCustomInput(req, res) {
     try {
-        const { code, language, input } = req.body;
+        const { problemId, code, language, input } = req.body;
+        const userId = req.user._id;
 
         // Validate required fields
         if (!code || !language) {
@@ -168,21 +258,73 @@ export async function executeCustomInput(req, res) {
         }
 
         // Validate language
-        const validLanguages = ["javascript", "java", "python"];
-        if (!validLanguages.includes(language)) {
+        if (!isSupportedLanguage(language)) {
             return res.status(400).json({
-                message: "Invalid language. Supported languages: javascript, java, python"
+                message: `Invalid language. Supported languages: ${LANGUAGE_IDS.join(", ")}`
+            });
+        }
+
+        if (problemId) {
+            if (typeof problemId !== "string" || !problemId.match(/^[0-9a-fA-F]{24}$/)) {
+                return res.status(400).json({
+                    message: "Invalid problem ID"
+                });
+            }
+
+            const problem = await Problem.findById(problemId);
+
+            if (!problem || !problem.isActive) {
+                return res.status(404).json({
+                    message: "Problem not found"
+                });
+            }
+
+            const unsupported = unsupportedProblemType(problem.problemType);
+            if (unsupported) {
+                return res.status(501).json({
+                    message: unsupported
+                });
+            }
+
+            if (problem.signature && !HARNESS_LANGUAGES.includes(language)) {
+                return res.status(400).json({
+                    message: `Language ${language} is not supported for this problem`
+                });
+            }
+        }
+
+        // Execute code with custom input, unless the same run is cached (see middleware/executionCache.js)
+        const cache = req.executionCache;
+        let result = cache?.hit?.result;
+        if (!result) {
+            result = await executionQueue.runJob("execute", userId, {
+                problemId: problemId ? problemId.toString() : null,
+                code,
+                language,
+                input: input || ""
             });
+            if (cache) resultCache.set(cache.key, result);
         }
 
-        // Execute code with custom input
-        const result = await codeExecutor.executeCode(code, language, input || "");
+        if (result.inputRejected) {
+            return res.status(400).json({
+                message: "Input breaks the problem's constraints",
+                error: result.error,
+                cached: Boolean(cache?.hit)
+            });
+        }
 
         res.status(200).json({
             success: result.success,
+            verdict: result.verdict,
+            verdictLabel: VERDICT_LABELS[result.verdict],
             output: result.output,
             error: result.error,
-            executionTime: result.executionTime
+            // Interactive problems: the interactor's feedback and the exchange
+            message: result.message || "",
+            transcript: result.transcript || "",
+            executionTime: result.executionTime,
+            cached: Boolean(cache?.hit)
         });
 
     } catch (error) {
@@ -191,4 +333,378 @@ export async function executeCustomInput(req, res) {
             message: "Internal Server Error"
         });
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Stress test code against one of the problem's reference solutions with a
+ * seeded input generator, returning the smallest failing input found.
+ * Only the problem's creator can stress test, since the failing input comes
+ * with the reference solution's output. The code is sent in the request or
+ * taken from a submission to the problem (submissionId).
+ */
+export async function stressTestCode(req, res) {
+    try {
+        const {
+            problemId,
+            submissionId,
+            generator,
+            solutionIndex = 0,
+            timeBudgetMs = STRESS_TIME_BUDGET.default,
+            maxSize = STRESS_MAX_SIZE.default
+        } = req.body;
+        let { code, language } = req.body;
+        const userId = req.user._id;
+
+        if (!problemId) {
+            return res.status(400).json({
+                message: "Problem ID is required"
+            });
+        }
+
+        if (typeof problemId !== "string" || !problemId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                message: "Invalid problem ID"
+            });
+        }
+
+        const problem = await Problem.findById(problemId);
+        if (!problem || !problem.isActive) {
+            return res.status(404).json({
+                message: "Problem not found"
+            });
+        }
+
+        if (problem.createdBy.toString() !== userId.toString()) {
+            return res.status(403).json({
+                message: "Only the problem's creator can stress test solutions"
+            });
+        }
+
+        if (problem.problemType === "interactive") {
+            return res.status(400).json({
+                message: "Stress testing is not available for interactive problems"
+            });
+        }
+
+        if (!Number.isInteger(solutionIndex) || !problem.referenceSolutions[solutionIndex]) {
+            return res.status(400).json({
+                message: "The problem has no such reference solution"
+            });
+        }
+
+        if (!generator || !isSupportedLanguage(generator.language) || !generator.code || generator.code.trim() === "") {
+            return res.status(400).json({
+                message: `A generator with code and a language (${LANGUAGE_IDS.join(", ")}) is required`
+            });
+        }
+
+        if (typeof timeBudgetMs !== "number" || timeBudgetMs < STRESS_TIME_BUDGET.min || timeBudgetMs > STRESS_TIME_BUDGET.max) {
+            return res.status(400).json({
+                message: `timeBudgetMs must be a number between ${STRESS_TIME_BUDGET.min} and ${STRESS_TIME_BUDGET.max}`
+            });
+        }
+
+        if (!Number.isInteger(maxSize) || maxSize < STRESS_MAX_SIZE.min || maxSize > STRESS_MAX_SIZE.max) {
+            return res.status(400).json({
+                message: `maxSize must be an integer between ${STRESS_MAX_SIZE.min} and ${STRESS_MAX_SIZE.max}`
+            });
+        }
+
+        // Stress test a candidate's submission
+        if (submissionId) {
+            if (!String(submissionId).match(/^[0-9a-fA-F]{24}$/)) {
+                return res.status(400).json({
+                    message: "Invalid submission ID"
+                });
+            }
+            const submission = await Submission.findById(submissionId);
+            if (!submission || submission.problem.toString() !== problem._id.toString()) {
+                return res.status(404).json({
+                    message: "Submission not found for this problem"
+                });
+            }
+            ({ code, language } = submission);
+        }
+
+        if (!code || !language) {
+            return res.status(400).json({
+                message: "Code and language (or a submissionId) are required"
+            });
+        }
+
+        if (!isSupportedLanguage(language) || (problem.signature && !HARNESS_LANGUAGES.includes(language))) {
+            return res.status(400).json({
+                message: `Language ${language} is not supported for this problem`
+            });
+        }
+
+        const result = await executionQueue.runJob("stress", userId, {
+            problemId: problem._id.toString(),
+            code,
+            language,
+            generator: { language: generator.language, code: generator.code },
+            solutionIndex,
+            timeBudgetMs,
+            maxSize
+        }, { timeout: timeBudgetMs + STRESS_JOB_OVERHEAD });
+
+        res.status(200).json({
+            ...result,
+            verdictLabel: result.found ? VERDICT_LABELS[result.verdict] : null
+        });
+
+    } catch (error) {
+        console.error("Error in stressTestCode controller:", error.message);
+        res.status(500).json({
+            message: "Internal Server Error"
+        });
+    }
+}
+
+/**
+ * List the current user's submissions (optionally filtered by problem)
+ */
+export async function getMySubmissions(req, res) {
+    try {
+        const { problemId, page = 1, limit = 20 } = req.query;
+        const userId = req.user._id;
+
+        const filter = { user: userId };
+
+        if (problemId) {
+            if (!problemId.match(/^[0-9a-fA-F]{24}$/)) {
+                return res.status(400).json({
+                    message: "Invalid problem ID"
+                });
+            }
+            filter.problem = problemId;
+        }
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const submissions = await Submission.find(filter)
+            .select("-code -results") // Don't send code and test results in list view
+            .populate("problem", "title slug difficulty")
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .lean();
+
+        const total = await Submission.countDocuments(filter);
+
+        res.status(200).json({
+            submissions,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalSubmissions: total,
+                hasMore: skip + submissions.length < total
+            }
+        });
+
+    } catch (error) {
+        console.error("Error in getMySubmissions controller:", error.message);
+        res.status(500).json({
+            message: "Internal Server Error"
+        });
+    }
+}
+
+/**
+ * Get a single submission (owner or problem creator only)
+ */
+export async function getSubmissionById(req, res) {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                message: "Invalid submission ID"
+            });
+        }
+
+        const submission = await Submission.findById(id)
+            .populate("problem", "title slug difficulty createdBy")
+            .populate("user", "name email profileImage");
+
+        if (!submission) {
+            return res.status(404).json({
+                message: "Submission not found"
+            });
+        }
+
+        const isOwner = submission.user._id.toString() === userId.toString();
+        const isProblemCreator = submission.problem?.createdBy?.toString() === userId.toString();
+
+        if (!isOwner && !isProblemCreator) {
+            return res.status(403).json({
+                message: "You are not authorized to view this submission"
+            });
+        }
+
+        // Problem creators can review hidden test details, candidates cannot
+        const submissionData = submission.toObject();
+        if (!isProblemCreator) {
+            submissionData.results = hideHiddenTestDetails(submissionData.results);
+        }
+
+        res.status(200).json({
+            submission: submissionData
+        });
+
+    } catch (error) {
+        console.error("Error in getSubmissionById controller:", error.message);
+        res.status(500).json({
+            message: "Internal Server Error"
+        });
+    }
+}
+
+/**
+ * Get the current user's most recent accepted submission for a problem
+ */
+export async function getLatestAcceptedSubmission(req, res) {
+    try {
+        const { problemId } = req.params;
+        const userId = req.user._id;
+
+        if (!problemId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                message: "Invalid problem ID"
+            });
+        }
+
+        const submission = await Submission.findOne({
+            user: userId,
+            problem: problemId,
+            accepted: true
+        })
+            .sort({ createdAt: -1 })
+            .lean();
+
+        if (!submission) {
+            return res.status(404).json({
+                message: "No accepted submission found for this problem"
+            });
+        }
+
+        submission.results = hideHiddenTestDetails(submission.results);
+
+        res.status(200).json({
+            submission
+        });
+
+    } catch (error) {
+        console.error("Error in getLatestAcceptedSubmission controller:", error.message);
+        res.status(500).json({
+            message: "Internal Server Error"
+        });
+    }
+}
+
+/**
+ * Load a submission job owned by the current user, or send the error response
+ */
+async function findOwnSubmissionJob(req, res) {
+    const { jobId } = req.params;
+
+    if (!jobId.match(/^[0-9a-fA-F]{24}$/)) {
+        res.status(400).json({ message: "Invalid job ID" });
+        return null;
+    }
+
+    const job = await ExecutionJob.findById(jobId).lean();
+
+    if (!job || job.type !== "submit") {
+        res.status(404).json({ message: "Submission job not found" });
+        return null;
+    }
+
+    if (job.user.toString() !== req.user._id.toString()) {
+        res.status(403).json({ message: "You are not authorized to view this submission job" });
+        return null;
+    }
+
+    return job;
+}
+
+/**
+ * Get the status, progress and (when finished) result of a submission job (polling fallback)
+ */
+export async function getSubmissionJob(req, res) {
+    try {
+        const job = await findOwnSubmissionJob(req, res);
+        if (!job) return;
+
+        res.status(200).json(formatSubmissionJob(job));
+
+    } catch (error) {
+        console.error("Error in getSubmissionJob controller:", error.message);
+        res.status(500).json({
+            message: "Internal Server Error"
+        });
+    }
+}
+
+/**
+ * Stream submission job progress as Server-Sent Events.
+ * Sends "progress" events until the job finishes, then a single "result" event.
+ */
+export async function streamSubmissionJob(req, res) {
+    try {
+        const job = await findOwnSubmissionJob(req, res);
+        if (!job) return;
+
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            "Connection": "keep-alive",
+            "X-Accel-Buffering": "no" // Disable proxy buffering (nginx)
+        });
+
+        const send = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        // Comment lines keep idle connections from being closed by proxies
+        const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+
+        let stop = () => {};
+        const close = () => {
+            clearInterval(keepAlive);
+            stop();
+            res.end();
+        };
+
+        stop = executionQueue.watchJob(job._id, (current) => {
+            if (!current) {
+                send("error", { message: "Submission job not found" });
+                return close();
+            }
+
+            const view = formatSubmissionJob(current);
+            if (current.status === "completed" || current.status === "failed") {
+                send("result", view);
+                return close();
+            }
+            send("progress", view);
+        });
+
+        req.on("close", () => {
+            clearInterval(keepAlive);
+            stop();
+        });
+
+    } catch (error) {
+        console.error("Error in streamSubmissionJob controller:", error.message);
+        if (!res.headersSent) {
+            res.status(500).json({
+                message: "Internal Server Error"
+            });
+        } else {
+            res.end();
+        }
+    }
+}
@@ -0,0 +1,121 @@
+import { pipeline } from "stream/promises";
+
+import Problem from "../models/Problem.js";
+import {
+    MAX_TEST_DATA_SIZE,
+    TEST_DATA_TOO_LARGE,
+    isTestDataRef,
+    openTestData,
+    storeTestDataStream
+} from "../services/testData.js";
+
+// Test case fields that can be downloaded, by the name used in the URL
+const TEST_DATA_FIELDS = {
+    input: { text: "input", ref: "inputFile" },
+    output: { text: "expectedOutput", ref: "outputFile" },
+};
+
+// Store an uploaded test input or expected output; the request body is the raw data.
+// The returned { sha256, size } goes into a test case as inputFile or outputFile.
+// Only problem authors and admins can upload (a first problem stores its large tests itself).
+export async function uploadTestData(req, res) {
+    try {
+        if (req.user.role !== "admin" && !(await Problem.exists({ createdBy: req.user._id }))) {
+            return res.status(403).json({
+                message: "Only problem authors and admins can upload test data"
+            });
+        }
+
+        // A JSON body has already been consumed by the body parser
+        if (req.is("application/json")) {
+            return res.status(415).json({
+                message: "Send test data as the raw request body (e.g. Content-Type: application/octet-stream)"
+            });
+        }
+
+        const declaredSize = parseInt(req.headers["content-length"]);
+        if (declaredSize > MAX_TEST_DATA_SIZE) {
+            return res.status(413).json({
+                message: `Test data cannot exceed ${MAX_TEST_DATA_SIZE} bytes`
+            });
+        }
+
+        const testData = await storeTestDataStream(req);
+
+        res.status(201).json({
+            message: "Test data stored",
+            testData
+        });
+    } catch (error) {
+        if (error.code === TEST_DATA_TOO_LARGE) {
+            return res.status(413).json({
+                message: `Test data cannot exceed ${MAX_TEST_DATA_SIZE} bytes`
+            });
+        }
+        console.error("Error in uploadTestData controller:", error.message);
+        res.status(500).json({
+            message: "Internal Server Error"
+        });
+    }
+}
+
+// Download one test case's input or expected output (creator only)
+export async function downloadTestData(req, res) {
+    try {
+        const { id, index, field } = req.params;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                message: "Invalid problem ID"
+            });
+        }
+
+        const fields = TEST_DATA_FIELDS[field];
+        if (!fields) {
+            return res.status(400).json({
+                message: `Test data must be one of: ${Object.keys(TEST_DATA_FIELDS).join(", ")}`
+            });
+        }
+
+        const problem = await Problem.findById(id);
+        if (!problem) {
+            return res.status(404).json({
+                message: "Problem not found"
+            });
+        }
+
+        // Only allow creator to access test data (add admin check if needed)
+        if (problem.createdBy.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                message: "You are not authorized to view this problem's test data"
+            });
+        }
+
+        // Test cases are numbered from 1, as in validation errors
+        const testCase = problem.testCases[parseInt(index) - 1];
+        if (!testCase) {
+            return res.status(404).json({
+                message: "Test case not found"
+            });
+        }
+
+        res.type("text/plain");
+        const ref = testCase[fields.ref];
+        if (!isTestDataRef(ref)) {
+            return res.status(200).send(testCase[fields.text]);
+        }
+
+        res.status(200).set("Content-Length", String(ref.size));
+        await pipeline(openTestData(ref), res);
+    } catch (error) {
+        console.error("Error in downloadTestData controller:", error.message);
+        // Once streaming started the response can only be cut short
+        if (res.headersSent) {
+            res.destroy();
+            return;
+        }
+        res.status(500).json({
+            message: "Internal Server Error"
+        });
+    }
+}
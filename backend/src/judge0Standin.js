@@ -0,0 +1,202 @@
+import crypto from "crypto";
+import os from "os";
+import express from "express";
+
+import "./lib/env.js";
+
+/**
+ * A stand-in for a Judge0 server, for running the remote executor backend
+ * (EXECUTOR_BACKEND=remote, see services/remoteExecutor.js) without a real
+ * judge. Submissions run one at a time on a local backend, picked with
+ * JUDGE0_STANDIN_BACKEND ("simple" by default, or "container"), behind the
+ * part of Judge0's API that the remote executor uses:
+ *
+ *   GET  /languages
+ *   POST /submissions?base64_encoded=true&wait=false   -> { token }
+ *   GET  /submissions/:token?base64_encoded=true&fields=...
+ *
+ * Start it with `npm run judge0`. It listens on Judge0's port, where
+ * REMOTE_JUDGE_URL points by default, and requires REMOTE_JUDGE_TOKEN as the
+ * X-Auth-Token header when that is set.
+ */
+
+// Stand-in settings - can be overridden by environment variables
+const PORT = parseInt(process.env.JUDGE0_STANDIN_PORT) || 2358;
+const BACKEND = process.env.JUDGE0_STANDIN_BACKEND || "simple";
+const AUTH_TOKEN = process.env.REMOTE_JUDGE_TOKEN || "";
+// Finished submissions are kept this long for clients to fetch
+const SUBMISSION_TTL = 10 * 60 * 1000; // 10 minutes
+// Judge0's default max_file_size: output past it is a SIGXFSZ runtime error
+const OUTPUT_LIMIT_KB = 1024;
+
+const STATUSES = {
+    IN_QUEUE: { id: 1, description: "In Queue" },
+    PROCESSING: { id: 2, description: "Processing" },
+    ACCEPTED: { id: 3, description: "Accepted" },
+    TIME_LIMIT_EXCEEDED: { id: 5, description: "Time Limit Exceeded" },
+    COMPILATION_ERROR: { id: 6, description: "Compilation Error" },
+    SIGSEGV: { id: 7, description: "Runtime Error (SIGSEGV)" },
+    SIGXFSZ: { id: 8, description: "Runtime Error (SIGXFSZ)" },
+    SIGFPE: { id: 9, description: "Runtime Error (SIGFPE)" },
+    SIGABRT: { id: 10, description: "Runtime Error (SIGABRT)" },
+    NZEC: { id: 11, description: "Runtime Error (NZEC)" },
+    OTHER: { id: 12, description: "Runtime Error (Other)" },
+    INTERNAL_ERROR: { id: 13, description: "Internal Error" },
+};
+
+const SIGNAL_STATUSES = {
+    SIGSEGV: STATUSES.SIGSEGV,
+    SIGXFSZ: STATUSES.SIGXFSZ,
+    SIGFPE: STATUSES.SIGFPE,
+    SIGABRT: STATUSES.SIGABRT,
+};
+
+if (BACKEND === "remote") {
+    console.error("☠️ The Judge0 stand-in cannot run on the remote backend it stands in for");
+    process.exit(1);
+}
+// Selected before the executor module is loaded, which reads it once
+process.env.EXECUTOR_BACKEND = BACKEND;
+const { default: executor } = await import("./services/executor.js");
+const { VERDICTS } = await import("./services/verdicts.js");
+const { remoteLanguageIds } = await import("./services/languages.js");
+
+const languageIds = remoteLanguageIds();
+const languagesByRemoteId = new Map(Object.entries(languageIds).map(([id, remoteId]) => [remoteId, id]));
+
+const submissions = new Map();
+let queue = Promise.resolve();
+
+function judge0Status(result) {
+    switch (result.verdict) {
+        case VERDICTS.ACCEPTED:
+            return STATUSES.ACCEPTED;
+        case VERDICTS.TIME_LIMIT_EXCEEDED:
+            return STATUSES.TIME_LIMIT_EXCEEDED;
+        case VERDICTS.COMPILATION_ERROR:
+            return STATUSES.COMPILATION_ERROR;
+        case VERDICTS.OUTPUT_LIMIT_EXCEEDED:
+            return STATUSES.SIGXFSZ;
+        default:
+            // Judge0 has no memory limit status: runtime errors and MLE alike
+            return SIGNAL_STATUSES[result.signal] || (result.exitCode ? STATUSES.NZEC : STATUSES.OTHER);
+    }
+}
+
+/**
+ * Build and run one submission on the local backend, filling in its Judge0 fields
+ */
+async function runSubmission(submission, { language, source, stdin, limits, memoryLimitKb = 0 }) {
+    submission.status = STATUSES.PROCESSING;
+    let program = null;
+
+    try {
+        // The remote executor sends sources it has already prepared
+        const compiled = await executor.compile(source, language, { prepared: true });
+        const result = compiled.success
+            ? await executor.runProgram((program = compiled.program), stdin, limits)
+            : compiled.result;
+        const status = judge0Status(result);
+
+        Object.assign(submission, {
+            status,
+            stdout: status === STATUSES.COMPILATION_ERROR ? "" : result.output,
+            stderr: status === STATUSES.COMPILATION_ERROR || status === STATUSES.ACCEPTED ? "" : result.error,
+            compile_output: status === STATUSES.COMPILATION_ERROR ? result.error : "",
+            time: result.cpuTime !== null ? (result.cpuTime / 1000).toFixed(3) : null,
+            wall_time: (result.executionTime / 1000).toFixed(3),
+            // Judge0 holds memory to its limit, so a run over it reports at least the limit
+            memory: result.verdict === VERDICTS.MEMORY_LIMIT_EXCEEDED
+                ? Math.max(result.peakMemory || 0, memoryLimitKb + 1)
+                : result.peakMemory,
+            exit_code: result.exitCode,
+            exit_signal: result.signal ? os.constants.signals[result.signal] : null
+        });
+    } catch (error) {
+        console.error("Error while running a submission:", error.message);
+        Object.assign(submission, { status: STATUSES.INTERNAL_ERROR, message: error.message });
+    } finally {
+        if (program) await executor.releaseProgram(program);
+        submission.finishedAt = Date.now();
+    }
+}
+
+function pruneSubmissions() {
+    for (const [token, submission] of submissions) {
+        if (submission.finishedAt && Date.now() - submission.finishedAt > SUBMISSION_TTL) {
+            submissions.delete(token);
+        }
+    }
+}
+
+const app = express();
+
+// Stdin is sent inline, so bodies can carry whole test files
+app.use(express.json({ limit: "64mb" }));
+
+app.use((req, res, next) => {
+    if (AUTH_TOKEN && req.get("X-Auth-Token") !== AUTH_TOKEN) {
+        return res.status(401).json({ error: "Authentication failed" });
+    }
+    next();
+});
+
+app.get("/languages", async (req, res) => {
+    const installed = await executor.listLanguages();
+    res.status(200).json(installed.map(({ id, name, version }) => ({ id: languageIds[id], name: `${name} (${version})` })));
+});
+
+app.post("/submissions", (req, res) => {
+    const base64 = req.query.base64_encoded === "true";
+    const { language_id, source_code, stdin, cpu_time_limit, memory_limit } = req.body || {};
+    const text = value => (value && base64 ? Buffer.from(value, "base64").toString("utf8") : value || "");
+
+    const language = languagesByRemoteId.get(language_id);
+    if (!language) {
+        return res.status(422).json({ language_id: [`language with id ${language_id} doesn't exist`] });
+    }
+    if (!source_code) {
+        return res.status(422).json({ source_code: ["can't be blank"] });
+    }
+
+    pruneSubmissions();
+    const token = crypto.randomUUID();
+    const submission = { status: STATUSES.IN_QUEUE, finishedAt: null };
+    submissions.set(token, submission);
+
+    const limits = {
+        timeLimitMs: cpu_time_limit ? Math.round(cpu_time_limit * 1000) : undefined,
+        memoryLimitMb: memory_limit ? Math.ceil(memory_limit / 1024) : undefined,
+        outputLimitKb: OUTPUT_LIMIT_KB
+    };
+    queue = queue.then(() => runSubmission(submission, {
+        language,
+        source: text(source_code),
+        stdin: text(stdin),
+        limits,
+        memoryLimitKb: memory_limit
+    }));
+
+    res.status(201).json({ token });
+});
+
+app.get("/submissions/:token", (req, res) => {
+    const submission = submissions.get(req.params.token);
+    if (!submission) {
+        return res.status(404).json({ error: "Not found" });
+    }
+
+    const base64 = req.query.base64_encoded === "true";
+    const encoded = { ...submission };
+    for (const field of ["stdout", "stderr", "compile_output"]) {
+        if (base64 && encoded[field]) encoded[field] = Buffer.from(encoded[field], "utf8").toString("base64");
+    }
+    delete encoded.finishedAt;
+
+    const fields = typeof req.query.fields === "string" ? req.query.fields.split(",") : Object.keys(encoded);
+    res.status(200).json(Object.fromEntries(fields.map(field => [field, encoded[field] ?? null])));
+});
+
+app.listen(PORT, () => {
+    console.log(`Judge0 stand-in (${BACKEND} backend) running on http://localhost:${PORT}`);
+});
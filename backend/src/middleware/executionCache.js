@@ -0,0 +1,75 @@
+/*
+    Usage:
+        Looks up a cached result for a run (`run`: visible tests, `execute`: custom input) before the
+        rate limiter, so that rerunning unchanged code neither executes it again nor spends rate-limit budget.
+        Attaches req.executionCache = { key, hit } where hit is { result, cachedAt } or null.
+
+    [Note: Requests the controller would reject get no key and pass through untouched.]
+*/
+
+import Problem from "../models/Problem.js";
+import resultCache from "../services/resultCache.js";
+import { isSupportedLanguage } from "../services/languages.js";
+
+// What a run's result depends on besides the code and language
+async function runKeyParts(kind, { problemId, input }) {
+    if (!problemId) {
+        return kind === "execute" ? { input: input || "" } : null;
+    }
+    if (!String(problemId).match(/^[0-9a-fA-F]{24}$/)) return null;
+
+    const problem = await Problem.findById(problemId);
+    if (!problem || !problem.isActive) return null;
+
+    const judging = {
+        problemId: problem._id.toString(),
+        signature: problem.signature,
+        problemType: problem.problemType,
+        interactor: problem.interactor
+    };
+
+    if (kind === "execute") {
+        return { ...judging, input: input || "", inputValidator: problem.inputValidator, problem };
+    }
+
+    return {
+        ...judging,
+        checker: problem.checker,
+        // Stored test data is identified by its checksum
+        testCases: problem.testCases.filter(tc => !tc.isHidden).map(tc => ({
+            input: tc.input,
+            expectedOutput: tc.expectedOutput,
+            inputFile: tc.inputFile?.sha256 || null,
+            outputFile: tc.outputFile?.sha256 || null
+        })),
+        problem
+    };
+}
+
+export function lookupExecutionCache(kind) {
+    return async (req, res, next) => {
+        try {
+            const { code, language } = req.body;
+            if (!code || !isSupportedLanguage(language)) return next();
+
+            const parts = await runKeyParts(kind, req.body);
+            if (!parts) return next();
+
+            const { problem, ...rest } = parts;
+            const key = await resultCache.keyFor({
+                kind,
+                language,
+                code,
+                ...rest,
+                limits: problem ? problem.getLimits(language) : null
+            });
+
+            req.executionCache = { key, hit: resultCache.get(key) };
+            next();
+        } catch (error) {
+            // Without the cache the request is simply executed
+            console.error("Error in lookupExecutionCache middleware:", error.message);
+            next();
+        }
+    };
+}
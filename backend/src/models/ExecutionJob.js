@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+// Higher priority lanes are picked first: quick "run" feedback beats full judging,
+// and candidates go before authors validating, stress testing, rejudging or checking
+// their problems for plagiarism, and before the complexity analysis of accepted submissions
+export const JOB_PRIORITIES = {
+    run: 2,
+    submit: 1,
+    execute: 1,
+    validate: 0,
+    stress: 0,
+    rejudge: 0,
+    complexity: 0,
+    plagiarism: 0,
+};
+
+const executionJobSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    type: {
+        type: String,
+        enum: Object.keys(JOB_PRIORITIES),
+        required: true,
+    },
+    priority: {
+        type: Number,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ["queued", "running", "completed", "failed"],
+        default: "queued",
+    },
+    // Everything the handler needs to run the job (problem, code, language, input)
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    // Live progress: { stage, currentTest, totalTests, results: [per-test verdicts] }
+    progress: {
+        type: mongoose.Schema.Types.Mixed,
+        default: () => ({ stage: "queued" }),
+    },
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    error: {
+        type: String,
+        default: "",
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    // Worker that claimed the job and its last sign of life, used for crash recovery
+    workerId: {
+        type: String,
+        default: null,
+    },
+    heartbeatAt: {
+        type: Date,
+        default: null,
+    },
+    startedAt: {
+        type: Date,
+        default: null,
+    },
+    finishedAt: {
+        type: Date,
+        default: null,
+    }
+}, {
+    timestamps: true,
+});
+
+// Indexes for claiming the next job and sweeping stale ones
+executionJobSchema.index({ status: 1, priority: -1, createdAt: 1 });
+executionJobSchema.index({ status: 1, heartbeatAt: 1 });
+// Finished jobs are only kept around for a day
+executionJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const ExecutionJob = mongoose.model("ExecutionJob", executionJobSchema);
+
+export default ExecutionJob;
@@ -0,0 +1,127 @@
+import mongoose from "mongoose";
+
+// Lines (from 1) of a region two submissions share
+const lineRangeSchema = new mongoose.Schema({
+    startLine: { type: Number, required: true },
+    endLine: { type: Number, required: true },
+}, { _id: false });
+
+const matchSchema = new mongoose.Schema({
+    a: { type: lineRangeSchema, required: true },
+    b: { type: lineRangeSchema, required: true },
+    // Length of the shared region in normalized tokens
+    tokens: { type: Number, required: true },
+}, { _id: false });
+
+// Two submissions by different users that look alike
+const similarPairSchema = new mongoose.Schema({
+    submissionA: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Submission",
+        required: true,
+    },
+    submissionB: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Submission",
+        required: true,
+    },
+    userA: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    userB: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    language: {
+        type: String,
+        required: true,
+    },
+    // Share of each side's fingerprints found in the other (0-1); similarity is the larger
+    similarity: { type: Number, required: true },
+    similarityA: { type: Number, required: true },
+    similarityB: { type: Number, required: true },
+    matches: {
+        type: [matchSchema],
+        default: [],
+    }
+}, { _id: false });
+
+/**
+ * Result of comparing a problem's submissions for plagiarism
+ * (see services/plagiarism.js and services/judge.js detectPlagiarism)
+ */
+const plagiarismReportSchema = new mongoose.Schema({
+    problem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Problem",
+        required: true,
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    // Pairs below this similarity are left out
+    threshold: {
+        type: Number,
+        default: 0.5,
+        min: 0,
+        max: 1,
+    },
+    // Compare each user's latest accepted submission instead of their latest one
+    acceptedOnly: {
+        type: Boolean,
+        default: false,
+    },
+    status: {
+        type: String,
+        enum: ["queued", "running", "completed", "failed"],
+        default: "queued",
+    },
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ExecutionJob",
+        default: null,
+    },
+    submissionsCompared: {
+        type: Number,
+        default: 0,
+    },
+    // More submissions were eligible than a report compares; the most recent were kept
+    submissionsLimited: {
+        type: Boolean,
+        default: false,
+    },
+    pairs: {
+        type: [similarPairSchema],
+        default: [],
+    },
+    // More pairs passed the threshold than the report keeps
+    truncated: {
+        type: Boolean,
+        default: false,
+    },
+    error: {
+        type: String,
+        default: "",
+    },
+    startedAt: {
+        type: Date,
+        default: null,
+    },
+    finishedAt: {
+        type: Date,
+        default: null,
+    }
+}, {
+    timestamps: true,
+});
+
+plagiarismReportSchema.index({ problem: 1, createdAt: -1 });
+
+const PlagiarismReport = mongoose.model("PlagiarismReport", plagiarismReportSchema);
+
+export default PlagiarismReport;
@@ -1,13 +1,56 @@
 import mongoose from "mongoose";
 
+import { CHECKER_TYPES } from "../services/checkers.js";
+import { SIGNATURE_TYPES } from "../services/harness.js";
+import { LANGUAGE_IDS, getLanguage } from "../services/languages.js";
+import { DEFAULT_SCALING_SIZES } from "../services/complexity.js";
+
+// Standard problems compare outputs; interactive ones are judged by an interactor
+export const PROBLEM_TYPES = ["standard", "interactive"];
+
+// Allowed ranges for per-problem execution limits
+export const LIMIT_RANGES = {
+    timeLimitMs: { min: 100, max: 30000, default: 2000 },
+    memoryLimitMb: { min: 16, max: 2048, default: 256 },
+    outputLimitKb: { min: 1, max: 65536, default: 64 },
+    multiplier: { min: 1, max: 10 },
+};
+
+// Test data kept in the test data store, by checksum (see services/testData.js)
+const testDataRefSchema = new mongoose.Schema({
+    sha256: {
+        type: String,
+        required: true,
+        match: /^[0-9a-f]{64}$/,
+    },
+    size: {
+        type: Number,
+        required: true,
+        min: 0,
+    }
+}, { _id: false });
+
+// Small test data is stored inline; larger data lives in the store and the inline field stays empty
 const testCaseSchema = mongoose.Schema({
     input: {
         type: String,
-        required: true,
+        required: function() {
+            return !this.inputFile;
+        },
     },
     expectedOutput: {
         type: String,
-        required: true,
+        required: function() {
+            return !this.outputFile;
+        },
+    },
+    inputFile: {
+        type: testDataRefSchema,
+        default: null,
+    },
+    outputFile: {
+        type: testDataRefSchema,
+        default: null,
     },
     isHidden: {
         type: Boolean,
@@ -18,7 +61,70 @@ const testCaseSchema = mongoose.Schema({
 const starterCodeSchema = new mongoose.Schema({
     language: {
         type: String,
-        enum: ["javascript", "java", "python"],
+        enum: LANGUAGE_IDS,
+        required: true,
+    },
+    code: {
+        type: String,
+        required: true,
+    }
+}, { _id: false });
+
+// Per-language scaling of the base limits, overriding the registry defaults (see services/languages.js)
+const languageLimitSchema = new mongoose.Schema({
+    language: {
+        type: String,
+        enum: LANGUAGE_IDS,
+        required: true,
+    },
+    timeMultiplier: {
+        type: Number,
+        default: 1,
+        min: LIMIT_RANGES.multiplier.min,
+        max: LIMIT_RANGES.multiplier.max,
+    },
+    memoryMultiplier: {
+        type: Number,
+        default: 1,
+        min: LIMIT_RANGES.multiplier.min,
+        max: LIMIT_RANGES.multiplier.max,
+    }
+}, { _id: false });
+
+// How outputs are judged (see services/checkers.js)
+const checkerSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: CHECKER_TYPES,
+        default: "exact",
+    },
+    // "float" checker tolerances
+    absoluteEpsilon: {
+        type: Number,
+        default: 1e-6,
+        min: 0,
+    },
+    relativeEpsilon: {
+        type: Number,
+        default: 1e-6,
+        min: 0,
+    },
+    // "custom" checker program (hidden from candidates)
+    language: {
+        type: String,
+        enum: LANGUAGE_IDS,
+    },
+    code: {
+        type: String,
+    }
+}, { _id: false });
+
+// A program supplied by the problem author: a reference solution, an
+// interactor (see services/interaction.js) or an input validator (see services/validators.js)
+const authorProgramSchema = new mongoose.Schema({
+    language: {
+        type: String,
+        enum: LANGUAGE_IDS,
         required: true,
     },
     code: {
@@ -27,6 +133,53 @@ const starterCodeSchema = new mongoose.Schema({
     }
 }, { _id: false });
 
+// Generator of inputs of a given size, for estimating accepted solutions' complexity (see services/complexity.js)
+const scalingGeneratorSchema = new mongoose.Schema({
+    language: {
+        type: String,
+        enum: LANGUAGE_IDS,
+        required: true,
+    },
+    code: {
+        type: String,
+        required: true,
+    },
+    // Input sizes to measure, smallest first
+    sizes: {
+        type: [Number],
+        default: () => [...DEFAULT_SCALING_SIZES],
+    }
+}, { _id: false });
+
+// Function signature for harness-driven problems (see services/harness.js)
+const signatureParamSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+    },
+    type: {
+        type: String,
+        enum: SIGNATURE_TYPES,
+        required: true,
+    }
+}, { _id: false });
+
+const signatureSchema = new mongoose.Schema({
+    functionName: {
+        type: String,
+        required: true,
+    },
+    params: {
+        type: [signatureParamSchema],
+        default: [],
+    },
+    returnType: {
+        type: String,
+        enum: SIGNATURE_TYPES,
+        required: true,
+    }
+}, { _id: false });
+
 const exampleSchema = new mongoose.Schema({
     input: {
         type: String,
@@ -111,6 +264,72 @@ const problemSchema = new mongoose.Schema({
         type: String,
         default: "",
     },
+    // Execution limits applied to every test case
+    timeLimitMs: {
+        type: Number,
+        default: LIMIT_RANGES.timeLimitMs.default,
+        min: LIMIT_RANGES.timeLimitMs.min,
+        max: LIMIT_RANGES.timeLimitMs.max,
+    },
+    memoryLimitMb: {
+        type: Number,
+        default: LIMIT_RANGES.memoryLimitMb.default,
+        min: LIMIT_RANGES.memoryLimitMb.min,
+        max: LIMIT_RANGES.memoryLimitMb.max,
+    },
+    outputLimitKb: {
+        type: Number,
+        default: LIMIT_RANGES.outputLimitKb.default,
+        min: LIMIT_RANGES.outputLimitKb.min,
+        max: LIMIT_RANGES.outputLimitKb.max,
+    },
+    languageLimits: {
+        type: [languageLimitSchema],
+        default: [],
+    },
+    checker: {
+        type: checkerSchema,
+        default: () => ({}),
+    },
+    problemType: {
+        type: String,
+        enum: PROBLEM_TYPES,
+        default: "standard",
+    },
+    // Required for interactive problems (hidden from candidates)
+    interactor: {
+        type: authorProgramSchema,
+        default: null,
+    },
+    // Hidden from candidates; when present the test cases are checked against them on save
+    referenceSolutions: {
+        type: [authorProgramSchema],
+        default: [],
+    },
+    // Checks every test input (and custom inputs) against the constraints; hidden from candidates
+    inputValidator: {
+        type: authorProgramSchema,
+        default: null,
+    },
+    // When present, accepted solutions get an estimated time complexity; hidden from candidates
+    scalingGenerator: {
+        type: scalingGeneratorSchema,
+        default: null,
+    },
+    // Whether the test cases passed the input validator and reference solutions when last saved
+    testsVerified: {
+        type: Boolean,
+        default: false,
+    },
+    testsVerifiedAt: {
+        type: Date,
+        default: null,
+    },
+    // When set, candidates implement this function instead of reading stdin
+    signature: {
+        type: signatureSchema,
+        default: null,
+    },
     hints: [{
         type: String,
         trim: true,
@@ -147,17 +366,34 @@ problemSchema.index({ difficulty: 1, category: 1 });
 problemSchema.index({ tags: 1 });
 problemSchema.index({ title: "text", description: "text" });
 
-// Pre-save middleware to generate slug from title
-problemSchema.pre("save", function(next) {
+// URL slug of a problem title
+export function slugify(title) {
+    return title
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/(^-|-$)/g, "");
+}
+
+// Generate the slug from the title before validation, which requires it
+problemSchema.pre("validate", function(next) {
     if (this.isModified("title")) {
-        this.slug = this.title
-            .toLowerCase()
-            .replace(/[^a-z0-9]+/g, "-")
-            .replace(/(^-|-$)/g, "");
+        this.slug = slugify(this.title);
     }
     next();
 });
 
+// Effective execution limits for a language, with its (or the registry's default) multipliers applied
+problemSchema.methods.getLimits = function(language) {
+    const languageLimit = this.languageLimits?.find(ll => ll.language === language);
+    const defaults = getLanguage(language)?.limits;
+
+    return {
+        timeLimitMs: Math.round(this.timeLimitMs * (languageLimit?.timeMultiplier || defaults?.timeMultiplier || 1)),
+        memoryLimitMb: Math.round(this.memoryLimitMb * (languageLimit?.memoryMultiplier || defaults?.memoryMultiplier || 1)),
+        outputLimitKb: this.outputLimitKb,
+    };
+};
+
 const Problem = mongoose.model("Problem", problemSchema);
 
 export default Problem;
\ No newline at end of file
@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+
+import { VERDICT_CODES } from "../services/verdicts.js";
+
+// A submission whose verdict changed when it was judged again
+const verdictChangeSchema = new mongoose.Schema({
+    submission: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Submission",
+        required: true,
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    oldVerdict: {
+        type: String,
+        enum: VERDICT_CODES,
+        required: true,
+    },
+    newVerdict: {
+        type: String,
+        enum: VERDICT_CODES,
+        required: true,
+    }
+}, { _id: false });
+
+// Problem counters before and after the rejudge
+const problemStatsSchema = new mongoose.Schema({
+    totalSubmissions: { type: Number, default: 0 },
+    totalAccepted: { type: Number, default: 0 },
+    acceptanceRate: { type: Number, default: 0 },
+}, { _id: false });
+
+/**
+ * Log of one rejudge: which of a problem's submissions were judged again and
+ * whose verdicts flipped (see services/judge.js rejudgeSubmissions)
+ */
+const rejudgeSchema = new mongoose.Schema({
+    problem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Problem",
+        required: true,
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    // Only submissions made in this range (either end optional)
+    from: {
+        type: Date,
+        default: null,
+    },
+    to: {
+        type: Date,
+        default: null,
+    },
+    status: {
+        type: String,
+        enum: ["queued", "running", "completed", "failed"],
+        default: "queued",
+    },
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ExecutionJob",
+        default: null,
+    },
+    total: {
+        type: Number,
+        default: 0,
+    },
+    processed: {
+        type: Number,
+        default: 0,
+    },
+    changes: {
+        type: [verdictChangeSchema],
+        default: [],
+    },
+    statsBefore: {
+        type: problemStatsSchema,
+        default: null,
+    },
+    statsAfter: {
+        type: problemStatsSchema,
+        default: null,
+    },
+    error: {
+        type: String,
+        default: "",
+    },
+    startedAt: {
+        type: Date,
+        default: null,
+    },
+    finishedAt: {
+        type: Date,
+        default: null,
+    }
+}, {
+    timestamps: true,
+});
+
+rejudgeSchema.index({ problem: 1, createdAt: -1 });
+
+const Rejudge = mongoose.model("Rejudge", rejudgeSchema);
+
+export default Rejudge;
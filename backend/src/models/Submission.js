@@ -0,0 +1,201 @@
+import mongoose from "mongoose";
+
+import { VERDICT_CODES } from "../services/verdicts.js";
+import { LANGUAGE_IDS } from "../services/languages.js";
+import { COMPLEXITY_CLASSES } from "../services/complexity.js";
+
+const testResultSchema = new mongoose.Schema({
+    input: {
+        type: String,
+        default: "",
+    },
+    expectedOutput: {
+        type: String,
+        default: "",
+    },
+    actualOutput: {
+        type: String,
+        default: "",
+    },
+    passed: {
+        type: Boolean,
+        required: true,
+    },
+    verdict: {
+        type: String,
+        enum: VERDICT_CODES,
+        required: true,
+    },
+    // Checker (or interactor) feedback for wrong answers
+    message: {
+        type: String,
+        default: "",
+    },
+    error: {
+        type: String,
+        default: "",
+    },
+    // Wall-clock time (ms), including process startup
+    executionTime: {
+        type: Number,
+        default: 0,
+    },
+    // Measured user+system CPU time (ms) and peak resident memory (KB);
+    // null when the run was killed before they could be collected
+    cpuTime: {
+        type: Number,
+        default: null,
+    },
+    peakMemory: {
+        type: Number,
+        default: null,
+    },
+    // Exchange between solution and interactor, for interactive problems
+    transcript: {
+        type: String,
+        default: "",
+    },
+    // Line and token diff against the expected output, for failed tests (see services/outputDiff.js)
+    diff: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    isHidden: {
+        type: Boolean,
+        default: false,
+    }
+}, { _id: false });
+
+// Estimated time complexity of an accepted submission (see services/complexity.js)
+const complexityAnalysisSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ["pending", "completed", "failed"],
+        default: "pending",
+    },
+    estimate: {
+        type: String,
+        enum: [...COMPLEXITY_CLASSES.map(c => c.name), null],
+        default: null,
+    },
+    // 0-1: how clearly the estimate fits better than the next class
+    confidence: {
+        type: Number,
+        default: null,
+    },
+    // Fastest time (ms) measured at each input size
+    samples: {
+        type: [{ _id: false, size: Number, timeMs: Number }],
+        default: [],
+    },
+    // Relative fitting error of every class, best first
+    fits: {
+        type: [{ _id: false, complexity: String, error: Number }],
+        default: [],
+    },
+    // Size at which the solution failed, ending the measurements
+    stoppedAt: {
+        type: { _id: false, size: Number, verdict: String },
+        default: null,
+    },
+    error: {
+        type: String,
+        default: "",
+    },
+    analyzedAt: {
+        type: Date,
+        default: null,
+    }
+}, { _id: false });
+
+const submissionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    problem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Problem",
+        required: true,
+        index: true,
+    },
+    language: {
+        type: String,
+        enum: LANGUAGE_IDS,
+        required: true,
+    },
+    code: {
+        type: String,
+        required: true,
+    },
+    accepted: {
+        type: Boolean,
+        default: false,
+    },
+    verdict: {
+        type: String,
+        enum: VERDICT_CODES,
+        required: true,
+        index: true,
+    },
+    results: {
+        type: [testResultSchema],
+        default: [],
+    },
+    summary: {
+        total: { type: Number, default: 0 },
+        passed: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 },
+    },
+    // Compiler output when the code did not build (no test results then)
+    compilationError: {
+        type: String,
+        default: "",
+    },
+    // Sum of all test run times and the slowest single test (ms)
+    totalExecutionTime: {
+        type: Number,
+        default: 0,
+    },
+    maxExecutionTime: {
+        type: Number,
+        default: 0,
+    },
+    // Highest CPU time (ms) and peak memory (KB) over all tests
+    maxCpuTime: {
+        type: Number,
+        default: 0,
+    },
+    peakMemory: {
+        type: Number,
+        default: 0,
+    },
+    // Only for accepted submissions to problems with a scaling generator
+    complexity: {
+        type: complexityAnalysisSchema,
+        default: null,
+    },
+    // Execution job that judged it, so a job run again stores it only once
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ExecutionJob",
+    },
+    // Last time the submission was judged again after its problem changed
+    rejudgedAt: {
+        type: Date,
+        default: null,
+    }
+}, {
+    timestamps: true,
+});
+
+// Indexes for submission history queries
+submissionSchema.index({ user: 1, problem: 1, createdAt: -1 });
+submissionSchema.index({ user: 1, problem: 1, accepted: 1, createdAt: -1 });
+submissionSchema.index({ job: 1 }, { unique: true, sparse: true });
+
+const Submission = mongoose.model("Submission", submissionSchema);
+
+export default Submission;
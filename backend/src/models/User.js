@@ -19,6 +19,12 @@ const userSchema = new mongoose.Schema({
         type: String,
         required: true,
         unique: true,
+    },
+    // Admins can review any problem's plagiarism reports
+    role: {
+        type: String,
+        enum: ["user", "admin"],
+        default: "user",
     }
 }, {
     timestamps: true
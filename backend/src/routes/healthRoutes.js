@@ -0,0 +1,15 @@
+import express from "express";
+
+import {
+    getLive,
+    getReady
+} from "../controllers/healthController.js";
+
+const router = express.Router();
+
+// Public routes (container orchestrator probes)
+router.get("/", getLive);
+router.get("/live", getLive);
+router.get("/ready", getReady);
+
+export default router;
@@ -0,0 +1,12 @@
+import express from "express";
+
+import {
+    getLanguages
+} from "../controllers/languageController.js";
+
+const router = express.Router();
+
+// Public route
+router.get("/", getLanguages);
+
+export default router;
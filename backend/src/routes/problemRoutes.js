@@ -10,6 +10,10 @@ import {
     getTags,
     getProblemTestCases
 } from "../controllers/problemController.js";
+import { startRejudge, getRejudges, getRejudgeById } from "../controllers/rejudgeController.js";
+import { startPlagiarismReport, getPlagiarismReports, getPlagiarismReportById } from "../controllers/plagiarismController.js";
+import { uploadTestData, downloadTestData } from "../controllers/testDataController.js";
+import { exportProblem, exportProblems, importProblems } from "../controllers/problemPackageController.js";
 import { protectRoute } from "../middleware/protectRoute.js";
 
 const router = express.Router();
@@ -18,12 +22,23 @@ const router = express.Router();
 router.get("/", getProblems); 
 router.get("/categories", getCategories);
 router.get("/tags", getTags);
+router.get("/export", protectRoute, exportProblems); // Export a category as a zip package (before /:identifier)
 router.get("/:identifier", getProblemByIdOrSlug);
 
 // Protected routes (requires authentication)
 router.post("/", protectRoute, createProblem); // Create new problem
+router.post("/test-data", protectRoute, uploadTestData); // Store large test data (raw body), referenced from test cases (problem authors or admins)
+router.post("/import", protectRoute, importProblems); // Import a zip package (raw body); ?dryRun=true, ?upsert=true
 router.put("/:id", protectRoute, updateProblem); // Update problem
 router.delete("/:id", protectRoute, deleteProblem); // Delete problem (soft delete)
 router.get("/:id/test-cases", protectRoute, getProblemTestCases); // Get all test cases (creator only)
+router.get("/:id/test-cases/:index/:field", protectRoute, downloadTestData); // Test input or output data (creator only)
+router.get("/:id/export", protectRoute, exportProblem); // Export as a zip package (creator or admin)
+router.post("/:id/rejudge", protectRoute, startRejudge); // Re-run stored submissions (creator only)
+router.get("/:id/rejudges", protectRoute, getRejudges); // Rejudge history (creator only)
+router.get("/:id/rejudges/:rejudgeId", protectRoute, getRejudgeById); // Rejudge log with flipped verdicts (creator only)
+router.post("/:id/plagiarism", protectRoute, startPlagiarismReport); // Compare submissions for plagiarism (creator or admin)
+router.get("/:id/plagiarism", protectRoute, getPlagiarismReports); // Plagiarism report history (creator or admin)
+router.get("/:id/plagiarism/:reportId", protectRoute, getPlagiarismReportById); // Similar pairs with matched regions (creator or admin)
 
 export default router;
\ No newline at end of file
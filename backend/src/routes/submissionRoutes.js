@@ -5,9 +5,16 @@ import rateLimit from "express-rate-limit";
 import {
     submitCode,
     runCode,
-    executeCustomInput
+    executeCustomInput,
+    stressTestCode,
+    getMySubmissions,
+    getSubmissionById,
+    getLatestAcceptedSubmission,
+    getSubmissionJob,
+    streamSubmissionJob
 } from "../controllers/submissionController.js";
 import { protectRoute } from "../middleware/protectRoute.js"; // Assuming you have this
+import { lookupExecutionCache } from "../middleware/executionCache.js";
 
 const router = express.Router();
 
@@ -20,11 +27,23 @@ const executionLimiter = rateLimit({
     },
     standardHeaders: true,
     legacyHeaders: false,
+    // Cached reruns do not execute anything
+    skip: (req) => Boolean(req.executionCache?.hit),
 });
 
 // All routes require authentication
-router.post("/submit", protectRoute, executionLimiter, submitCode); // Submit code for evaluation
-router.post("/run", protectRoute, executionLimiter, runCode); // Run code against visible test cases
-router.post("/execute", protectRoute, executionLimiter, executeCustomInput); // Execute code with custom input
+router.post("/submit", protectRoute, executionLimiter, submitCode); // Submit code for evaluation (returns a job id)
+router.post("/run", protectRoute, lookupExecutionCache("run"), executionLimiter, runCode); // Run code against visible test cases
+router.post("/execute", protectRoute, lookupExecutionCache("execute"), executionLimiter, executeCustomInput); // Execute code with custom input
+router.post("/stress-test", protectRoute, executionLimiter, stressTestCode); // Find a failing input against the reference solution (problem creator only)
+
+// Submission job progress
+router.get("/submissions/jobs/:jobId", protectRoute, getSubmissionJob); // Poll status and result
+router.get("/submissions/jobs/:jobId/events", protectRoute, streamSubmissionJob); // Stream progress (SSE)
+
+// Submission history
+router.get("/submissions", protectRoute, getMySubmissions); // List my submissions (?problemId= to filter)
+router.get("/submissions/latest-accepted/:problemId", protectRoute, getLatestAcceptedSubmission); // My latest accepted solution
+router.get("/submissions/:id", protectRoute, getSubmissionById); // Get a single submission
 
 export default router;
\ No newline at end of file
@@ -8,10 +8,14 @@ import { clerkMiddleware } from '@clerk/express';
 import { ENV } from "./lib/env.js";
 import { connectDb } from "./lib/db.js";
 import { inngest, functions } from "./lib/inngest.js";
+import executionQueue from "./services/executionQueue.js";
+import { startTestDataCleanup } from "./services/testData.js";
 import chatRoutes from "./routes/chatRoutes.js";
 import sessionRoutes from "./routes/sessionRoutes.js";
 import problemRoutes from "./routes/problemRoutes.js";
 import submissionRoutes from "./routes/submissionRoutes.js";
+import languageRoutes from "./routes/languageRoutes.js";
+import healthRoutes from "./routes/healthRoutes.js";
 
 
 const app = express();
@@ -27,18 +31,15 @@ app.use(express.json());
 app.use(clerkMiddleware());
 
 
-// Health endpoint
-app.get("/health", (req, res) => {
-    res.status(200).json({
-        message: "Ok!"
-    });
-});
+// Health endpoints -> /health and /health/live for liveness, /health/ready for readiness
+app.use("/health", healthRoutes);
 
 // Webhook endpoint -> Syncs auth with MongoDB & Stream
 app.use("/api/inngest", serve({ client: inngest, functions }))
 app.use("/api/chat", chatRoutes);
 app.use("/api/sessions", sessionRoutes);
 app.use("/api/problems", problemRoutes);
+app.use("/api/languages", languageRoutes);
 app.use("/api/", submissionRoutes);
 
 
@@ -56,6 +57,8 @@ if (ENV.NODE_ENV === "production") {
 const startServer = async () => {
     try {
         await connectDb();
+        await executionQueue.start();
+        startTestDataCleanup();
         app.listen(ENV.PORT, () => {
             console.log(`Server running on http://localhost:${ENV.PORT}`);
         });
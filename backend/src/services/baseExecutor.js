@@ -0,0 +1,386 @@
+import fs from "fs/promises";
+import path from "path";
+
+import {
+    VERDICTS,
+    getOverallVerdict,
+    classifyProcessOutcome,
+    applyResourceUsage,
+    reportsOutOfMemory,
+    describeFailure
+} from "./verdicts.js";
+import { checkOutput } from "./checkers.js";
+import { diffOutputs } from "./outputDiff.js";
+import { INTERACTOR_EXIT_CODES } from "./interaction.js";
+import { runTestsInOrder } from "./testRunner.js";
+import { LANGUAGES, detectInstalledLanguages } from "./languages.js";
+
+// Test data is inline text or a source streaming stored data ({ size, open(), read() }, see testData.js)
+const readTestText = data => typeof data === "string" ? data : data.read();
+// Stored test data is kept out of saved results
+const describeTestData = data => typeof data === "string" ? data : `(${data.size} bytes of stored test data)`;
+
+/**
+ * Shared behaviour of the execution backends (see executor.js).
+ *
+ * A backend implements three phases:
+ *   compile(code, language, { interactive }) -> { success: true, program } | { success: false, result }
+ *   runProgram(program, input, limits) -> result
+ *     (input is a string or a stored test data source, see testData.js)
+ *   releaseProgram(program)
+ * and gets executeCode() and runTestCases() from here. Backends that support
+ * interactive problems also implement
+ *   runInteractive(program, interactorProgram, testCase, limits) -> result
+ * whose result additionally carries the interactor's `message` and a `transcript`.
+ *
+ * Every backend returns the same result contract for a single run:
+ *   { success, verdict, output, error, exitCode, signal,
+ *     executionTime (wall ms), cpuTime (ms | null), peakMemory (KB | null) }
+ * with `limits` given as Problem.getLimits() returns them.
+ */
+export class BaseExecutor {
+    /**
+     * Result for a job that failed before its program could run. It is marked
+     * `internalError`: the failure is the executor's, and may not happen again.
+     */
+    failedResult(error) {
+        return {
+            success: false,
+            verdict: VERDICTS.RUNTIME_ERROR,
+            internalError: true,
+            output: "",
+            error: error.message,
+            exitCode: null,
+            signal: null,
+            executionTime: 0,
+            cpuTime: null,
+            peakMemory: null
+        };
+    }
+
+    /**
+     * Run a solution against an interactor for one test case (see interaction.js)
+     */
+    async runInteractive() {
+        throw new Error("Interactive problems are not supported by this executor");
+    }
+
+    /**
+     * Whether this backend can judge interactive problems (implements runInteractive)
+     */
+    get supportsInteractive() {
+        return this.runInteractive !== BaseExecutor.prototype.runInteractive;
+    }
+
+    /**
+     * Decide an interactive run from how both sides ended: the solution's own
+     * limit verdicts come first, then the interactor's exit code. A solution
+     * that crashed after the interactor accepted is still a runtime error.
+     */
+    interactionResult(interaction, { usage, limits, timedOut, executionTime }) {
+        const { solution, interactor } = interaction;
+
+        const solutionVerdict = applyResourceUsage(classifyProcessOutcome({
+            exitCode: solution.exitCode,
+            signal: solution.signal,
+            timedOut,
+            outputExceeded: solution.outputExceeded,
+            outOfMemory: reportsOutOfMemory(solution.stderr)
+        }), usage, limits);
+
+        let verdict = solutionVerdict;
+        let message = interactor.stderr;
+        const limitVerdicts = [
+            VERDICTS.TIME_LIMIT_EXCEEDED,
+            VERDICTS.MEMORY_LIMIT_EXCEEDED,
+            VERDICTS.OUTPUT_LIMIT_EXCEEDED
+        ];
+        if (!limitVerdicts.includes(verdict)) {
+            if (interactor.exitCode === INTERACTOR_EXIT_CODES.WRONG_ANSWER) {
+                verdict = VERDICTS.WRONG_ANSWER;
+            } else if (interactor.exitCode !== INTERACTOR_EXIT_CODES.ACCEPTED) {
+                // A broken interactor is the author's problem; fail the test but say why
+                console.error("Interactor failed:", interactor.stderr || `exit code ${interactor.exitCode}`);
+                verdict = VERDICTS.WRONG_ANSWER;
+                message = "Interactor failed to produce a verdict";
+            }
+        }
+
+        return {
+            success: solutionVerdict === VERDICTS.ACCEPTED,
+            verdict,
+            output: "",
+            error: describeFailure(verdict, { usage, limits, stderr: solution.stderr }),
+            message,
+            transcript: interaction.transcript,
+            exitCode: solution.exitCode,
+            signal: solution.signal,
+            executionTime,
+            cpuTime: usage?.cpuTime ?? null,
+            peakMemory: usage?.peakMemory ?? null
+        };
+    }
+
+    /**
+     * Languages this backend can run: [{ id, name, version }], probed at most `maxAge` ms ago
+     */
+    async listLanguages({ maxAge } = {}) {
+        return await detectInstalledLanguages({ maxAge });
+    }
+
+    /**
+     * What this backend needs to run code, for the readiness probe (see health.js):
+     * every registry language with its runtime version (null when missing; probed
+     * at most `maxAge` ms ago) and, for backends that work in a temp directory,
+     * whether it takes writes
+     */
+    async healthCheck({ maxAge } = {}) {
+        const installed = new Map((await this.listLanguages({ maxAge })).map(language => [language.id, language.version]));
+        const runtimes = Object.values(LANGUAGES).map(({ id, name }) => ({
+            id,
+            name,
+            available: installed.has(id),
+            version: installed.get(id) || null
+        }));
+
+        if (!this.tempDir) {
+            return { runtimes, tempDir: null };
+        }
+
+        const probeFile = path.join(this.tempDir, `.health-${process.pid}-${Date.now()}`);
+        try {
+            await fs.writeFile(probeFile, "ok");
+            await fs.rm(probeFile, { force: true });
+            return { runtimes, tempDir: { path: this.tempDir, writable: true } };
+        } catch (error) {
+            return { runtimes, tempDir: { path: this.tempDir, writable: false, error: error.message } };
+        }
+    }
+
+    /**
+     * Compile and run code once; the reported time includes compilation
+     */
+    async executeCode(code, language, input = "", limits = {}) {
+        let program = null;
+
+        try {
+            const compiled = await this.compile(code, language);
+            if (!compiled.success) {
+                return compiled.result;
+            }
+            program = compiled.program;
+
+            const result = await this.runProgram(program, input, limits);
+            result.executionTime += program.compileTime;
+            return result;
+        } catch (error) {
+            console.error(`Execution error for ${language}:`, error.message);
+            return this.failedResult(error);
+        } finally {
+            if (program) {
+                await this.releaseProgram(program);
+            }
+        }
+    }
+
+    /**
+     * Compile a solution and an interactor and run them against each other once
+     */
+    async executeInteractive(code, language, interactor, testCase, limits = {}) {
+        let program = null;
+        let interactorProgram = null;
+
+        try {
+            const compiled = await this.compile(code, language, { interactive: true });
+            if (!compiled.success) {
+                return compiled.result;
+            }
+            program = compiled.program;
+            interactorProgram = await this.compileInteractor(interactor);
+
+            const result = await this.runInteractive(program, interactorProgram, testCase, limits);
+            result.executionTime += program.compileTime;
+            return result;
+        } catch (error) {
+            console.error(`Interactive execution error for ${language}:`, error.message);
+            return this.failedResult(error);
+        } finally {
+            if (program) await this.releaseProgram(program);
+            if (interactorProgram) await this.releaseProgram(interactorProgram);
+        }
+    }
+
+    /**
+     * Build the problem's interactor; it failing to compile is the author's error
+     */
+    async compileInteractor(interactor) {
+        const compiled = await this.compile(interactor.code, interactor.language, { interactive: true });
+        if (!compiled.success) {
+            throw new Error(`Interactor failed to compile: ${compiled.result.error}`);
+        }
+        return compiled.program;
+    }
+
+    /**
+     * Build the problem's custom checker, or nothing for the built-in ones;
+     * it failing to compile is the author's error
+     */
+    async compileChecker(checker) {
+        if (checker?.type !== "custom") return null;
+
+        const compiled = await this.compile(checker.code, checker.language);
+        if (!compiled.success) {
+            throw new Error(`Checker failed to compile: ${compiled.result.error}`);
+        }
+        return compiled.program;
+    }
+
+    /**
+     * Run test cases against the code, enforcing the given limits on every test.
+     * The code is compiled once and the program reused for every test; tests
+     * run in parallel (see testRunner.js) and stop early per the stop policy.
+     * Outputs are judged by the problem's checker, or for interactive problems
+     * by the problem's interactor; onProgress is called before compiling and
+     * before and after each test.
+     */
+    async runTestCases(code, language, testCases, limits = {}, { onProgress, checker, interactor, stopPolicy } = {}) {
+        const totalTests = testCases.length;
+
+        onProgress?.({ stage: "compiling", currentTest: 0, totalTests });
+
+        let compiled;
+        try {
+            compiled = await this.compile(code, language, { interactive: Boolean(interactor) });
+        } catch (error) {
+            compiled = { success: false, result: this.failedResult(error) };
+        }
+
+        // A build failure is reported once for the whole run, not per test
+        if (!compiled.success) {
+            return {
+                results: [],
+                summary: {
+                    total: totalTests,
+                    passed: 0,
+                    failed: totalTests,
+                    allPassed: false,
+                    verdict: compiled.result.verdict,
+                    compilationError: compiled.result.error,
+                    compileTime: compiled.result.executionTime,
+                    ...(compiled.result.internalError && { internalError: true })
+                }
+            };
+        }
+
+        const { program } = compiled;
+
+        // The judging programs are built once for all tests, like the solution
+        let interactorProgram = null;
+        let checkerProgram = null;
+        try {
+            if (interactor) {
+                interactorProgram = await this.compileInteractor(interactor);
+            } else {
+                checkerProgram = await this.compileChecker(checker);
+            }
+        } catch (error) {
+            await this.releaseProgram(program);
+            if (interactorProgram) await this.releaseProgram(interactorProgram);
+            throw error;
+        }
+
+        const runTest = async (testCase, index) => {
+            onProgress?.({ stage: "running", currentTest: index + 1, totalTests });
+
+            const result = interactorProgram
+                ? await this.runInteractive(program, interactorProgram, testCase, limits)
+                : await this.runProgram(program, testCase.input, limits);
+
+            let verdict = result.verdict;
+            let message = result.message || "";
+            // Output cut off at the output limit is still worth comparing in the diff
+            const comparable = !interactorProgram &&
+                (verdict === VERDICTS.ACCEPTED || verdict === VERDICTS.OUTPUT_LIMIT_EXCEEDED);
+            const expected = comparable ? await readTestText(testCase.expectedOutput) : null;
+            if (verdict === VERDICTS.ACCEPTED && comparable) {
+                const check = await checkOutput({
+                    checker,
+                    input: testCase.input,
+                    expected,
+                    actual: result.output,
+                    executor: this,
+                    checkerProgram
+                });
+                message = check.message;
+                if (!check.passed) verdict = VERDICTS.WRONG_ANSWER;
+            }
+
+            // A custom checker accepts other answers, so a diff against the expected one could mislead
+            const diff = comparable && verdict !== VERDICTS.ACCEPTED && checker?.type !== "custom"
+                ? diffOutputs(expected, result.output, { truncated: verdict === VERDICTS.OUTPUT_LIMIT_EXCEEDED })
+                : null;
+
+            const testResult = {
+                input: describeTestData(testCase.input),
+                expectedOutput: describeTestData(testCase.expectedOutput),
+                actualOutput: result.output,
+                passed: verdict === VERDICTS.ACCEPTED,
+                verdict,
+                message,
+                error: result.error,
+                executionTime: result.executionTime,
+                cpuTime: result.cpuTime,
+                peakMemory: result.peakMemory,
+                transcript: result.transcript || "",
+                diff,
+                isHidden: testCase.isHidden || false
+            };
+
+            onProgress?.({ stage: "running", currentTest: index + 1, totalTests, testResult });
+
+            return { result, testResult };
+        };
+
+        let results;
+        try {
+            results = await runTestsInOrder(testCases, runTest, { stopPolicy });
+        } finally {
+            await this.releaseProgram(program);
+            if (interactorProgram) await this.releaseProgram(interactorProgram);
+            if (checkerProgram) await this.releaseProgram(checkerProgram);
+        }
+
+        // Backends that build on every run (the remote judge) only learn about a
+        // compilation error from a test run; report it once, like a failed build
+        const compileFailure = results.find(r => r.verdict === VERDICTS.COMPILATION_ERROR);
+        if (compileFailure) {
+            return {
+                results: [],
+                summary: {
+                    total: totalTests,
+                    passed: 0,
+                    failed: totalTests,
+                    allPassed: false,
+                    verdict: VERDICTS.COMPILATION_ERROR,
+                    compilationError: compileFailure.error,
+                    compileTime: program.compileTime
+                }
+            };
+        }
+
+        const passedTests = results.filter(r => r.passed).length;
+
+        return {
+            results,
+            summary: {
+                total: totalTests,
+                passed: passedTests,
+                failed: totalTests - passedTests,
+                allPassed: passedTests === totalTests,
+                verdict: getOverallVerdict(results),
+                compilationError: "",
+                compileTime: program.compileTime
+            }
+        };
+    }
+}
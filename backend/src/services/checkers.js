@@ -0,0 +1,124 @@
+/**
+ * Output checkers: decide whether a program's output is an acceptable answer.
+ *
+ * Built-in comparators cover the common cases; problems with several valid
+ * answers can ship a custom checker program instead. A custom checker reads a
+ * JSON object { input, expected, actual } from stdin and prints "AC" or "WA"
+ * as its first word, optionally followed by a message for the candidate.
+ */
+
+export const CHECKER_TYPES = ["exact", "token", "float", "unordered", "case-insensitive", "custom"];
+
+const DEFAULT_EPSILON = 1e-6;
+
+function tokens(text) {
+    const trimmed = text.trim();
+    return trimmed === "" ? [] : trimmed.split(/\s+/);
+}
+
+function lines(text) {
+    return text.replace(/\r\n/g, "\n").trimEnd().split("\n").map(line => line.trimEnd());
+}
+
+// Compare two token lists, reporting the first mismatch
+function compareTokens(actualTokens, expectedTokens, tokensEqual) {
+    const length = Math.max(actualTokens.length, expectedTokens.length);
+
+    for (let i = 0; i < length; i++) {
+        if (i >= actualTokens.length) {
+            return { passed: false, message: `Output ended early: expected ${expectedTokens.length} tokens, got ${actualTokens.length}` };
+        }
+        if (i >= expectedTokens.length) {
+            return { passed: false, message: `Extra output: expected ${expectedTokens.length} tokens, got ${actualTokens.length}` };
+        }
+        if (!tokensEqual(actualTokens[i], expectedTokens[i])) {
+            return { passed: false, message: `Token ${i + 1} differs: expected "${expectedTokens[i]}", got "${actualTokens[i]}"` };
+        }
+    }
+
+    return { passed: true, message: "" };
+}
+
+function floatsEqual(actual, expected, { absoluteEpsilon, relativeEpsilon }) {
+    const a = Number(actual);
+    const b = Number(expected);
+
+    // Non-numeric tokens must match exactly
+    if (!Number.isFinite(a) || !Number.isFinite(b) || actual === "" || expected === "") {
+        return actual === expected;
+    }
+
+    const difference = Math.abs(a - b);
+    return difference <= absoluteEpsilon || difference <= relativeEpsilon * Math.abs(b);
+}
+
+const comparators = {
+    exact: (actual, expected) => {
+        const passed = actual.trim() === expected.trim();
+        return { passed, message: passed ? "" : "Output does not match the expected output" };
+    },
+
+    token: (actual, expected) => compareTokens(tokens(actual), tokens(expected), (a, b) => a === b),
+
+    float: (actual, expected, checker) => {
+        const epsilons = {
+            absoluteEpsilon: checker.absoluteEpsilon ?? DEFAULT_EPSILON,
+            relativeEpsilon: checker.relativeEpsilon ?? DEFAULT_EPSILON
+        };
+        return compareTokens(tokens(actual), tokens(expected), (a, b) => floatsEqual(a, b, epsilons));
+    },
+
+    unordered: (actual, expected) => {
+        const actualLines = lines(actual).sort();
+        const expectedLines = lines(expected).sort();
+        const passed = actualLines.length === expectedLines.length &&
+            actualLines.every((line, i) => line === expectedLines[i]);
+        return { passed, message: passed ? "" : "Output lines do not match the expected lines (in any order)" };
+    },
+
+    "case-insensitive": (actual, expected) => {
+        const passed = actual.trim().toLowerCase() === expected.trim().toLowerCase();
+        return { passed, message: passed ? "" : "Output does not match the expected output (ignoring case)" };
+    },
+};
+
+/**
+ * Run the problem author's checker program, built once per run (see BaseExecutor.compileChecker)
+ */
+async function runCustomChecker({ input, expected, actual, executor, checkerProgram }) {
+    const result = await executor.runProgram(
+        checkerProgram,
+        // Stored test inputs (see testData.js) are loaded only for custom checkers
+        JSON.stringify({ input: typeof input === "string" ? input : await input.read(), expected, actual })
+    );
+
+    const [verdict, ...messageParts] = result.success ? result.output.trim().split(/\s+/) : [];
+    const message = messageParts.join(" ");
+
+    if (verdict?.toUpperCase() === "AC") return { passed: true, message };
+    if (verdict?.toUpperCase() === "WA") return { passed: false, message };
+
+    // A broken checker is the author's problem; fail the test but say why
+    console.error("Custom checker failed:", result.error || result.output);
+    return { passed: false, message: "Checker failed to produce a verdict" };
+}
+
+/**
+ * Check a program's output against the expected output; a custom checker
+ * needs its compiled program as checkerProgram.
+ * Returns { passed, message }.
+ */
+export async function checkOutput({ checker, input, expected, actual, executor, checkerProgram }) {
+    const type = checker?.type || "exact";
+
+    if (type === "custom") {
+        return await runCustomChecker({ input, expected, actual, executor, checkerProgram });
+    }
+
+    const compare = comparators[type];
+    if (!compare) {
+        throw new Error(`Unknown checker type: ${type}`);
+    }
+
+    return compare(actual, expected, checker || {});
+}
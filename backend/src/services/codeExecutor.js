@@ -1,29 +1,46 @@
-import { exec } from "child_process";
-import { promisify } from "util";
 import fs from "fs/promises";
 import path from "path";
 import crypto from "crypto";
 
-const execPromise = promisify(exec);
-
-// Timeouts and limits - can be overridden by environment variables
+import {
+    VERDICTS,
+    TIMEOUT_EXIT_CODE,
+    classifyProcessOutcome,
+    outcomeFromExecError,
+    execFailureMessage,
+    reportsOutOfMemory,
+    applyResourceUsage,
+    describeFailure
+} from "./verdicts.js";
+import { BaseExecutor } from "./baseExecutor.js";
+import sandbox, { parseMemorySize, wallTimeLimit, readResourceUsage } from "./sandbox.js";
+import { execCommand } from "./commandRunner.js";
+import { LANGUAGES, getLanguage, detectInstalledLanguages } from "./languages.js";
+import { runInteraction, writeTestFiles } from "./interaction.js";
+import { writeTestDataFile } from "./testData.js";
+
+// Default timeouts and limits - can be overridden by environment variables,
+// and per problem through Problem.getLimits()
 const EXECUTION_TIMEOUT = parseInt(process.env.EXECUTION_TIMEOUT) || 5000; // 5 seconds
 const MAX_OUTPUT_SIZE = parseInt(process.env.MAX_OUTPUT_SIZE) || 10000; // 10KB
+const MEMORY_LIMIT = parseMemorySize(process.env.MEMORY_LIMIT) || 256 * 1024 * 1024; // 256MB
 
 /**
  * Execute code within the same Docker container
- * Uses pre-installed Node.js, Python, and Java
+ * Uses the toolchains pre-installed in the image (see languages.js)
  * 
  * This approach is SAFE because:
  * 1. The entire app runs in an isolated Docker container
  * 2. Savella provides container-level isolation
- * 3. Resource limits are set at container level
+ * 3. Every job additionally runs in the sandbox (see sandbox.js): unprivileged
+ *    user, rlimits, empty environment, no network, only its own directory
  * 4. No nested Docker needed
  */
-export class InContainerCodeExecutor {
+export class InContainerCodeExecutor extends BaseExecutor {
     constructor() {
+        super();
         this.tempDir = process.env.TEMP_DIR || path.join(process.cwd(), "temp");
-        this.initTempDir();
+        this.ready = this.initTempDir().then(() => sandbox.init(this.tempDir));
         this.checkRuntimesAvailability();
     }
 
@@ -38,345 +55,247 @@ export class InContainerCodeExecutor {
     }
 
     async checkRuntimesAvailability() {
-        const runtimes = {
-            node: 'node --version',
-            python: 'python3 --version',
-            java: 'java -version'
-        };
-
         console.log('Checking runtime availability...');
-        
-        for (const [name, command] of Object.entries(runtimes)) {
-            try {
-                const { stdout, stderr } = await execPromise(command);
-                const version = stdout || stderr;
-                console.log(`✓ ${name}: ${version.split('\n')[0]}`);
-            } catch (error) {
+
+        const installed = await detectInstalledLanguages();
+        for (const { id, name } of Object.values(LANGUAGES)) {
+            const runtime = installed.find(language => language.id === id);
+            if (runtime) {
+                console.log(`✓ ${name}: ${runtime.version}`);
+            } else {
                 console.error(`⚠️  Warning: ${name} is not available`);
             }
         }
     }
 
     /**
-     * Execute code based on language
+     * Fill in default limits for anything the problem does not set
+     */
+    resolveLimits(limits = {}) {
+        return {
+            timeLimitMs: limits.timeLimitMs || EXECUTION_TIMEOUT,
+            memoryLimitBytes: limits.memoryLimitMb ? limits.memoryLimitMb * 1024 * 1024 : MEMORY_LIMIT,
+            outputLimitBytes: limits.outputLimitKb ? limits.outputLimitKb * 1024 : MAX_OUTPUT_SIZE
+        };
+    }
+
+    /**
+     * Compile phase: write the source into a fresh directory and build it once.
+     * Resolves to { success: true, program } where the program can be run any
+     * number of times with runProgram() and must be released afterwards, or to
+     * { success: false, result } holding the failed (usually CE) result.
+     * `prepared` code already went through the language's prepareSource.
      */
-    async executeCode(code, language, input = "") {
-        const executionId = crypto.randomBytes(16).toString("hex");
-        const executionDir = path.join(this.tempDir, executionId);
+    async compile(code, language, { interactive = false, prepared = false } = {}) {
+        const definition = getLanguage(language);
+        if (!definition) {
+            throw new Error(`Unsupported language: ${language}`);
+        }
+
+        await this.ready;
+        const executionDir = path.join(this.tempDir, crypto.randomBytes(16).toString("hex"));
+        await fs.mkdir(executionDir, { recursive: true });
+
+        const program = {
+            language: definition,
+            dir: executionDir,
+            fileName: definition.fileName(code),
+            compileTime: 0
+        };
 
         try {
-            await fs.mkdir(executionDir, { recursive: true });
-
-            switch (language) {
-                case "javascript":
-                    return await this.executeJavaScript(code, input, executionDir);
-                case "python":
-                    return await this.executePython(code, input, executionDir);
-                case "java":
-                    return await this.executeJava(code, input, executionDir);
-                default:
-                    throw new Error(`Unsupported language: ${language}`);
+            const source = definition.prepareSource && !prepared ? definition.prepareSource(code, { interactive }) : code;
+            await fs.writeFile(path.join(executionDir, program.fileName), source);
+
+            // Compilation is bounded by the language's compile time limit, not the problem's
+            if (definition.compile) {
+                const compileResult = await this.runProcess(definition.compile.command({ fileName: program.fileName }), executionDir, {
+                    compilation: true,
+                    limits: { ...this.resolveLimits(), timeLimitMs: definition.compile.timeLimitMs }
+                });
+                if (!compileResult.success) {
+                    await this.releaseProgram(program);
+                    return { success: false, result: compileResult };
+                }
+                program.compileTime = compileResult.executionTime;
             }
         } catch (error) {
-            console.error(`Execution error for ${language}:`, error.message);
-            return {
-                success: false,
-                output: "",
-                error: error.message,
-                executionTime: 0
-            };
-        } finally {
-            // Cleanup (non-blocking)
-            this.cleanupDirectory(executionDir);
+            await this.releaseProgram(program);
+            throw error;
         }
+
+        return { success: true, program };
     }
 
     /**
-     * Cleanup directory asynchronously
+     * Run phase: execute a compiled program once against the given input
      */
-    async cleanupDirectory(dirPath) {
-        setTimeout(async () => {
-            try {
-                await fs.rm(dirPath, { recursive: true, force: true });
-            } catch (error) {
-                console.error(`Cleanup error for ${dirPath}:`, error.message);
-            }
-        }, 100);
+    async runProgram(program, input = "", limits = {}) {
+        const resolvedLimits = this.resolveLimits(limits);
+        const heapMb = Math.floor(resolvedLimits.memoryLimitBytes / (1024 * 1024));
+
+        return await this.runWithInput(program.language.run({ fileName: program.fileName, heapMb }), program.dir, input, {
+            limits: resolvedLimits,
+            addressSpaceBytes: program.language.addressSpace(resolvedLimits.memoryLimitBytes)
+        });
     }
 
     /**
-     * Execute JavaScript code using Node.js
+     * Run a compiled program against a compiled interactor for one test case.
+     * Both run in their own sandbox; only the solution is measured and held
+     * to the problem's limits, the interactor gets the default memory limit.
      */
-    async executeJavaScript(code, input, executionDir) {
-        const fileName = "solution.js";
-        const filePath = path.join(executionDir, fileName);
-
-        // Wrap code to handle stdin
-        const wrappedCode = `
-const readline = require('readline');
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-    terminal: false
-});
-
-let inputLines = [];
-rl.on('line', (line) => {
-    inputLines.push(line);
-});
-
-rl.on('close', () => {
-    try {
-        ${code}
-    } catch (error) {
-        console.error(error.message);
-        process.exit(1);
-    }
-});
-`;
-
-        await fs.writeFile(filePath, wrappedCode);
-
-        const startTime = Date.now();
+    async runInteractive(program, interactorProgram, testCase, limits = {}) {
+        const resolvedLimits = this.resolveLimits(limits);
+        const heapMb = Math.floor(resolvedLimits.memoryLimitBytes / (1024 * 1024));
+        const interactorHeapMb = Math.floor(MEMORY_LIMIT / (1024 * 1024));
+        const usageFile = path.join(this.tempDir, `${crypto.randomBytes(8).toString("hex")}.usage`);
+        const testFiles = await writeTestFiles(interactorProgram.dir, testCase);
 
         try {
-            // Create input file
-            const inputFile = path.join(executionDir, "input.txt");
-            await fs.writeFile(inputFile, input);
-
-            // Execute with timeout
-            const command = `timeout ${Math.ceil(EXECUTION_TIMEOUT / 1000)} node ${filePath} < ${inputFile}`;
-            
-            const { stdout, stderr } = await execPromise(command, {
-                cwd: executionDir,
-                timeout: EXECUTION_TIMEOUT + 1000,
-                maxBuffer: MAX_OUTPUT_SIZE,
-                encoding: 'utf8'
+            await sandbox.prepareWorkdir(program.dir);
+            await sandbox.prepareWorkdir(interactorProgram.dir);
+
+            const solutionCommand = sandbox.wrapCommand(program.language.run({ fileName: program.fileName, heapMb }), {
+                workdir: program.dir,
+                timeLimitMs: resolvedLimits.timeLimitMs,
+                addressSpaceBytes: program.language.addressSpace(resolvedLimits.memoryLimitBytes),
+                usageFile
+            });
+            const interactorRun = interactorProgram.language.run({
+                fileName: interactorProgram.fileName,
+                heapMb: interactorHeapMb
+            });
+            const interactorCommand = sandbox.wrapCommand(`${interactorRun} ${testFiles.args}`, {
+                workdir: interactorProgram.dir,
+                timeLimitMs: resolvedLimits.timeLimitMs,
+                addressSpaceBytes: interactorProgram.language.addressSpace(MEMORY_LIMIT)
             });
 
+            const startTime = Date.now();
+            const interaction = await runInteraction({
+                solution: { command: solutionCommand, cwd: program.dir },
+                interactor: { command: interactorCommand, cwd: interactorProgram.dir },
+                outputLimitBytes: resolvedLimits.outputLimitBytes,
+                timeoutMs: wallTimeLimit(resolvedLimits.timeLimitMs) + 1000
+            });
             const executionTime = Date.now() - startTime;
 
-            return {
-                success: stderr.length === 0 || !stderr.includes('Error'),
-                output: stdout.trim(),
-                error: stderr.trim(),
+            return this.interactionResult(interaction, {
+                usage: await readResourceUsage(usageFile),
+                limits: resolvedLimits,
+                timedOut: interaction.killed || interaction.solution.exitCode === TIMEOUT_EXIT_CODE,
                 executionTime
-            };
-        } catch (error) {
-            const executionTime = Date.now() - startTime;
-
-            if (error.killed || error.code === 124) { // timeout exit code
-                return {
-                    success: false,
-                    output: "",
-                    error: "Execution timed out",
-                    executionTime: EXECUTION_TIMEOUT
-                };
-            }
-
-            return {
-                success: false,
-                output: error.stdout?.trim() || "",
-                error: error.stderr?.trim() || error.message,
-                executionTime
-            };
+            });
+        } finally {
+            await testFiles.remove();
         }
     }
 
     /**
-     * Execute Python code
+     * Remove a compiled program's directory (non-blocking)
      */
-    async executePython(code, input, executionDir) {
-        const fileName = "solution.py";
-        const filePath = path.join(executionDir, fileName);
+    async releaseProgram(program) {
+        this.cleanupDirectory(program.dir);
+    }
 
-        await fs.writeFile(filePath, code);
+    /**
+     * Cleanup directory asynchronously
+     */
+    async cleanupDirectory(dirPath) {
+        setTimeout(async () => {
+            try {
+                await fs.rm(dirPath, { recursive: true, force: true });
+            } catch (error) {
+                console.error(`Cleanup error for ${dirPath}:`, error.message);
+            }
+        }, 100);
+    }
 
-        const startTime = Date.now();
+    /**
+     * Write an input file and run a command with it as stdin; stored test data
+     * is streamed to the file. Each run gets its own input file since runs
+     * share the program's directory.
+     */
+    async runWithInput(command, executionDir, input, options = {}) {
+        const inputFile = path.join(executionDir, `input-${crypto.randomBytes(8).toString("hex")}.txt`);
+        await writeTestDataFile(inputFile, input);
 
         try {
-            const inputFile = path.join(executionDir, "input.txt");
-            await fs.writeFile(inputFile, input);
-
-            const command = `timeout ${Math.ceil(EXECUTION_TIMEOUT / 1000)} python3 ${filePath} < ${inputFile}`;
-            
-            const { stdout, stderr } = await execPromise(command, {
-                cwd: executionDir,
-                timeout: EXECUTION_TIMEOUT + 1000,
-                maxBuffer: MAX_OUTPUT_SIZE,
-                encoding: 'utf8'
-            });
-
-            const executionTime = Date.now() - startTime;
-
-            return {
-                success: stderr.length === 0 || !stderr.includes('Error'),
-                output: stdout.trim(),
-                error: stderr.trim(),
-                executionTime
-            };
-        } catch (error) {
-            const executionTime = Date.now() - startTime;
-
-            if (error.killed || error.code === 124) {
-                return {
-                    success: false,
-                    output: "",
-                    error: "Execution timed out",
-                    executionTime: EXECUTION_TIMEOUT
-                };
-            }
-
-            return {
-                success: false,
-                output: error.stdout?.trim() || "",
-                error: error.stderr?.trim() || error.message,
-                executionTime
-            };
+            return await this.runProcess(command, executionDir, { ...options, inputFile });
+        } finally {
+            await fs.rm(inputFile, { force: true });
         }
     }
 
     /**
-     * Execute Java code
+     * Run a command inside the sandbox and classify how it terminated.
+     * Runs (not compilations) also report CPU time (ms) and peak memory (KB),
+     * which take part in the TLE/MLE decision.
      */
-    async executeJava(code, input, executionDir) {
-        const className = this.extractJavaClassName(code);
-        const fileName = `${className}.java`;
-        const filePath = path.join(executionDir, fileName);
-
-        await fs.writeFile(filePath, code);
+    async runProcess(command, executionDir, { limits, compilation = false, inputFile = null, addressSpaceBytes = null }) {
+        await sandbox.prepareWorkdir(executionDir);
+
+        // Kept outside the job directory so the program cannot replace it
+        const usageFile = compilation
+            ? null
+            : path.join(this.tempDir, `${crypto.randomBytes(8).toString("hex")}.usage`);
+        const sandboxed = sandbox.wrapCommand(command, {
+            workdir: executionDir,
+            timeLimitMs: limits.timeLimitMs,
+            addressSpaceBytes,
+            usageFile
+        });
+        const redirect = inputFile ? ` < ${inputFile}` : "";
 
         const startTime = Date.now();
+        let outcome = { exitCode: 0, signal: null, timedOut: false, outputExceeded: false };
+        let stdout = "";
+        let stderr = "";
 
         try {
-            // Compile
-            const compileCommand = `javac ${fileName}`;
-            await execPromise(compileCommand, {
+            ({ stdout, stderr } = await execCommand(`${sandboxed}${redirect}`, {
                 cwd: executionDir,
-                timeout: EXECUTION_TIMEOUT,
-                maxBuffer: MAX_OUTPUT_SIZE
-            });
-
-            // Execute
-            const inputFile = path.join(executionDir, "input.txt");
-            await fs.writeFile(inputFile, input);
-
-            const runCommand = `timeout ${Math.ceil(EXECUTION_TIMEOUT / 1000)} java ${className} < ${inputFile}`;
-            
-            const { stdout, stderr } = await execPromise(runCommand, {
-                cwd: executionDir,
-                timeout: EXECUTION_TIMEOUT + 1000,
-                maxBuffer: MAX_OUTPUT_SIZE,
-                encoding: 'utf8'
-            });
-
-            const executionTime = Date.now() - startTime;
-
-            return {
-                success: stderr.length === 0 || !stderr.includes('Error'),
-                output: stdout.trim(),
-                error: stderr.trim(),
-                executionTime
-            };
+                timeout: wallTimeLimit(limits.timeLimitMs) + 1000,
+                maxBuffer: limits.outputLimitBytes
+            }));
         } catch (error) {
-            const executionTime = Date.now() - startTime;
-
-            if (error.killed || error.code === 124) {
-                return {
-                    success: false,
-                    output: "",
-                    error: "Execution timed out",
-                    executionTime: EXECUTION_TIMEOUT
-                };
-            }
-
-            return {
-                success: false,
-                output: error.stdout?.trim() || "",
-                error: error.stderr?.trim() || error.message,
-                executionTime
-            };
-        }
-    }
-
-    /**
-     * Extract class name from Java code
-     */
-    extractJavaClassName(code) {
-        const match = code.match(/public\s+class\s+(\w+)/);
-        return match ? match[1] : "Solution";
-    }
-
-    /**
-     * Run test cases against the code
-     */
-    async runTestCases(code, language, testCases) {
-        const results = [];
-        let shouldContinue = true;
-
-        for (const testCase of testCases) {
-            if (!shouldContinue) break;
-
-            const result = await this.executeCode(code, language, testCase.input);
-            
-            const passed = result.success && 
-                          result.output.trim() === testCase.expectedOutput.trim();
-
-            results.push({
-                input: testCase.input,
-                expectedOutput: testCase.expectedOutput,
-                actualOutput: result.output,
-                passed,
-                error: result.error,
-                executionTime: result.executionTime,
-                isHidden: testCase.isHidden || false
+            outcome = outcomeFromExecError(error, {
+                timeoutExitCode: TIMEOUT_EXIT_CODE
             });
-
-            // Stop if execution failed
-            if (!result.success) {
-                shouldContinue = false;
-            }
+            stdout = error.stdout || "";
+            stderr = execFailureMessage(error, outcome);
         }
 
-        const totalTests = testCases.length;
-        const passedTests = results.filter(r => r.passed).length;
+        const executionTime = Date.now() - startTime;
+        const usage = usageFile ? await readResourceUsage(usageFile) : null;
+        const verdict = applyResourceUsage(classifyProcessOutcome({
+            ...outcome,
+            compilation,
+            outOfMemory: !compilation && reportsOutOfMemory(stderr)
+        }), usage, limits);
 
         return {
-            results,
-            summary: {
-                total: totalTests,
-                passed: passedTests,
-                failed: totalTests - passedTests,
-                allPassed: passedTests === totalTests
-            }
+            success: verdict === VERDICTS.ACCEPTED,
+            verdict,
+            output: verdict === VERDICTS.TIME_LIMIT_EXCEEDED ? "" : stdout.trim(),
+            error: describeFailure(verdict, { compilation, usage, limits, stderr: stderr.trim() }),
+            exitCode: outcome.exitCode,
+            signal: outcome.signal,
+            executionTime,
+            cpuTime: usage?.cpuTime ?? null,
+            peakMemory: usage?.peakMemory ?? null
         };
     }
 
     /**
-     * Health check
+     * Health check, with the sandbox mode the host supports
      */
-    async healthCheck() {
-        try {
-            const checks = {
-                node: await execPromise('node --version'),
-                python: await execPromise('python3 --version'),
-                java: await execPromise('java -version')
-            };
-
-            return {
-                status: 'healthy',
-                runtimes: {
-                    node: checks.node.stdout.trim(),
-                    python: checks.python.stdout.trim(),
-                    java: 'available'
-                }
-            };
-        } catch (error) {
-            return {
-                status: 'unhealthy',
-                error: error.message
-            };
-        }
+    async healthCheck(options) {
+        return {
+            ...await super.healthCheck(options),
+            sandbox: sandbox.mode
+        };
     }
 }
 
@@ -0,0 +1,77 @@
+import { spawn } from "child_process";
+
+// A crash's trace is worth keeping, not a program's stderr logging
+const STDERR_LIMIT = 64 * 1024; // 64KB
+
+/**
+ * Run a shell command like a promisified child_process.exec (the promise has
+ * the `child`, and rejects with exec's error fields), except that `maxBuffer`
+ * only bounds stdout: that is the program's output, held to the output limit.
+ * Stderr is cut off at STDERR_LIMIT instead, so a long crash trace is not
+ * taken for too much output.
+ */
+export function execCommand(command, { cwd, timeout = 0, maxBuffer = Infinity, killSignal = "SIGTERM" } = {}) {
+    // In its own process group, so that a kill also reaches what the shell
+    // and wrappers started rather than leaving it running
+    const child = spawn(command, { cwd, shell: true, detached: true, stdio: ["pipe", "pipe", "pipe"] });
+
+    const promise = new Promise((resolve, reject) => {
+        const stdout = [];
+        const stderr = [];
+        let stdoutBytes = 0;
+        let stderrBytes = 0;
+        let failure = null;
+        let killed = false;
+
+        // As exec does, stop reading so the promise settles once the child is gone
+        const kill = () => {
+            killed = true;
+            child.stdout.destroy();
+            child.stderr.destroy();
+            try {
+                process.kill(-child.pid, killSignal);
+            } catch {
+                // Already gone
+            }
+        };
+        const timer = timeout > 0 ? setTimeout(kill, timeout) : null;
+
+        child.stdout.on("data", chunk => {
+            if (failure) return;
+            const room = maxBuffer - stdoutBytes;
+            stdoutBytes += chunk.length;
+            if (chunk.length > room) {
+                stdout.push(chunk.subarray(0, room));
+                failure = Object.assign(new Error("stdout maxBuffer length exceeded"), { code: "ERR_CHILD_PROCESS_STDIO_MAXBUFFER" });
+                kill();
+                return;
+            }
+            stdout.push(chunk);
+        });
+        child.stderr.on("data", chunk => {
+            if (stderrBytes < STDERR_LIMIT) stderr.push(chunk.subarray(0, STDERR_LIMIT - stderrBytes));
+            stderrBytes += chunk.length;
+        });
+
+        child.on("error", error => {
+            failure = failure || error;
+        });
+        child.on("close", (exitCode, signal) => {
+            if (timer) clearTimeout(timer);
+            const output = {
+                stdout: Buffer.concat(stdout).toString("utf8"),
+                stderr: Buffer.concat(stderr).toString("utf8")
+            };
+
+            if (!failure && exitCode === 0) return resolve(output);
+            if (!failure) {
+                failure = new Error(`Command failed: ${command}`);
+                failure.code = exitCode;
+            }
+            reject(Object.assign(failure, output, { killed, signal }));
+        });
+    });
+
+    promise.child = child;
+    return promise;
+}
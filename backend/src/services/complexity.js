@@ -0,0 +1,161 @@
+import { VERDICTS } from "./verdicts.js";
+
+/**
+ * Empirical time complexity: run an accepted solution on inputs of growing
+ * size and fit its running times to common complexity classes.
+ *
+ * The problem's scaling generator reads "<seed> <size>" from stdin, like a
+ * stress test generator (see stressTest.js), and prints one input of that
+ * size. Each size runs on a few seeds and keeps the fastest time, which is the
+ * least disturbed by whatever else the machine was doing.
+ */
+
+export const DEFAULT_SCALING_SIZES = [1000, 2000, 4000, 8000, 16000, 32000, 64000];
+
+export const COMPLEXITY_CLASSES = [
+    { name: "O(1)", growth: () => 0 },
+    { name: "O(log n)", growth: n => Math.log2(n) },
+    { name: "O(n)", growth: n => n },
+    { name: "O(n log n)", growth: n => n * Math.log2(n) },
+    { name: "O(n^2)", growth: n => n * n },
+    { name: "O(n^3)", growth: n => n ** 3 },
+    { name: "O(2^n)", growth: n => 2 ** n },
+];
+
+const SEEDS_PER_SIZE = 3;
+// Fewer measured sizes than this cannot tell the classes apart
+const MIN_SAMPLES = 3;
+// Sizes stop growing once the analysis has run this long
+const ANALYSIS_TIME_BUDGET = parseInt(process.env.COMPLEXITY_TIME_BUDGET) || 60000; // 1 minute
+// Generated inputs can be far larger than a program's usual output
+const GENERATOR_LIMITS = { timeLimitMs: 10000, memoryLimitMb: 1024, outputLimitKb: 65536 };
+// Timings are in whole milliseconds; smaller ones would weigh too much in the fit
+const MIN_TIME_MS = 1;
+
+/**
+ * Fit time = a * growth(n) + b by least squares weighted by 1/time², so every
+ * size counts by its relative error. Returns the weighted RMS relative error,
+ * or null when the class cannot be evaluated at these sizes.
+ */
+function fitClass(samples, growth) {
+    const values = samples.map(sample => growth(sample.size));
+    if (!values.every(Number.isFinite)) return null;
+
+    // Scaled to at most 1, keeping the sums well conditioned for steep classes
+    const scale = Math.max(...values) || 1;
+    let sw = 0, sx = 0, sy = 0, sxx = 0, sxy = 0;
+    samples.forEach((sample, i) => {
+        const y = Math.max(sample.timeMs, MIN_TIME_MS);
+        const x = values[i] / scale;
+        const w = 1 / (y * y);
+        sw += w;
+        sx += w * x;
+        sy += w * y;
+        sxx += w * x * x;
+        sxy += w * x * y;
+    });
+
+    const determinant = sw * sxx - sx * sx;
+    let a = determinant > 1e-12 * sw * sxx ? (sw * sxy - sx * sy) / determinant : 0;
+    // Running times do not shrink with the input; a falling fit is a constant one
+    if (a < 0) a = 0;
+    const b = (sy - a * sx) / sw;
+
+    let squaredError = 0;
+    samples.forEach((sample, i) => {
+        const y = Math.max(sample.timeMs, MIN_TIME_MS);
+        const residual = (y - a * values[i] / scale - b) / y;
+        squaredError += residual * residual;
+    });
+
+    // The constant class has one parameter, the others two; compare them fairly
+    const parameters = a === 0 && values.every(value => value === 0) ? 1 : 2;
+    return Math.sqrt(squaredError / Math.max(1, samples.length - parameters));
+}
+
+/**
+ * Fit measured { size, timeMs } samples to each complexity class.
+ * Returns { estimate, confidence, fits } with fits [{ complexity, error }]
+ * best first. Confidence (0-1) is how clearly the best class beats the next.
+ */
+export function fitComplexity(samples) {
+    const fits = COMPLEXITY_CLASSES
+        .map(({ name, growth }) => ({ complexity: name, error: fitClass(samples, growth) }))
+        .filter(fit => fit.error !== null)
+        .sort((a, b) => a.error - b.error);
+
+    const [best, runnerUp] = fits;
+    const confidence = runnerUp && runnerUp.error > 0 ? 1 - best.error / runnerUp.error : 0;
+
+    return {
+        estimate: best.complexity,
+        confidence: Math.round(confidence * 100) / 100,
+        fits: fits.map(fit => ({ complexity: fit.complexity, error: Math.round(fit.error * 1000) / 1000 }))
+    };
+}
+
+/**
+ * Measure a solution on growing input sizes and estimate its complexity.
+ *
+ * sources: { generator, solution }, each { code, language }
+ * limits: the solution's limits as Problem.getLimits() returns them
+ *
+ * Resolves to { estimate, confidence, fits, samples: [{ size, timeMs }], stoppedAt }
+ * where stoppedAt is { size, verdict } when the solution failed on a size
+ * (usually by exceeding the time limit) and larger sizes were skipped.
+ * Throws when the programs fail to build, the generator fails, or too few
+ * sizes could be measured.
+ */
+export async function estimateComplexity(executor, { sources, sizes = DEFAULT_SCALING_SIZES, limits }) {
+    const programs = {};
+    try {
+        for (const [role, { code, language }] of Object.entries(sources)) {
+            const compiled = await executor.compile(code, language);
+            if (!compiled.success) {
+                throw new Error(`The ${role} failed to compile: ${compiled.result.error}`);
+            }
+            programs[role] = compiled.program;
+        }
+
+        const startTime = Date.now();
+        const samples = [];
+        let stoppedAt = null;
+
+        for (const size of sizes) {
+            if (Date.now() - startTime > ANALYSIS_TIME_BUDGET) break;
+
+            let fastest = null;
+            for (let seed = 1; seed <= SEEDS_PER_SIZE && !stoppedAt; seed++) {
+                const generated = await executor.runProgram(programs.generator, `${seed} ${size}\n`, GENERATOR_LIMITS);
+                if (generated.verdict !== VERDICTS.ACCEPTED) {
+                    throw new Error(`The generator failed (seed ${seed}, size ${size}): ${generated.error || generated.verdict}`);
+                }
+
+                // Outputs come back trimmed; programs may expect a final newline
+                const result = await executor.runProgram(programs.solution, `${generated.output}\n`, limits);
+                if (result.verdict !== VERDICTS.ACCEPTED) {
+                    stoppedAt = { size, verdict: result.verdict };
+                    break;
+                }
+
+                // CPU time is steadier than wall time where the backend measures it
+                const timeMs = result.cpuTime ?? result.executionTime;
+                fastest = fastest === null ? timeMs : Math.min(fastest, timeMs);
+            }
+
+            if (stoppedAt) break;
+            samples.push({ size, timeMs: fastest });
+        }
+
+        if (samples.length < MIN_SAMPLES) {
+            const reason = stoppedAt
+                ? `the solution failed (${stoppedAt.verdict}) at size ${stoppedAt.size}`
+                : "the time budget ran out";
+            throw new Error(`Only ${samples.length} input sizes could be measured before ${reason}`);
+        }
+
+        return { ...fitComplexity(samples), samples, stoppedAt };
+    } finally {
+        await Promise.all(Object.values(programs).map(program => executor.releaseProgram(program)));
+    }
+}
@@ -0,0 +1,316 @@
+import { EventEmitter } from "events";
+import os from "os";
+
+import ExecutionJob, { JOB_PRIORITIES } from "../models/ExecutionJob.js";
+import { jobHandlers } from "./judge.js";
+
+// Queue settings - can be overridden by environment variables
+const EXECUTION_CONCURRENCY = parseInt(process.env.EXECUTION_CONCURRENCY) || 2;
+const EXECUTION_MAX_PER_USER = parseInt(process.env.EXECUTION_MAX_PER_USER) || 1;
+const EXECUTION_MAX_ATTEMPTS = parseInt(process.env.EXECUTION_MAX_ATTEMPTS) || 2;
+const POLL_INTERVAL = 1000; // Pick up jobs enqueued by other instances
+const HEARTBEAT_INTERVAL = 5000;
+const STALE_AFTER = 30000; // A running job without heartbeat for this long is orphaned
+const CANDIDATE_WINDOW = 50; // Queued jobs considered per claim for fairness
+
+/**
+ * MongoDB-backed execution queue with a bounded worker pool.
+ *
+ * - At most EXECUTION_CONCURRENCY jobs run in this process at a time
+ * - Higher priority lanes (see JOB_PRIORITIES) are always drained first
+ * - Within a lane, users with fewer running jobs go first and nobody runs
+ *   more than EXECUTION_MAX_PER_USER jobs at once
+ * - Running jobs send heartbeats; jobs whose worker died (crash, restart)
+ *   are put back in the queue, up to EXECUTION_MAX_ATTEMPTS times
+ */
+export class ExecutionQueue {
+    constructor() {
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.running = 0;
+        this.started = false;
+        this.pumping = false;
+        this.pumpRequested = false;
+        this.events = new EventEmitter();
+        this.events.setMaxListeners(0);
+    }
+
+    /**
+     * Recover orphaned jobs and start processing (call after connecting to MongoDB)
+     */
+    async start() {
+        if (this.started) return;
+        this.started = true;
+
+        await this.recoverStaleJobs();
+
+        this.pollTimer = setInterval(() => {
+            this.recoverStaleJobs()
+                .then(() => this.pump())
+                .catch(error => console.error("Error while polling execution queue:", error.message));
+        }, POLL_INTERVAL);
+        this.pollTimer.unref();
+
+        console.log(`✓ Execution queue started (concurrency ${EXECUTION_CONCURRENCY})`);
+        this.pump();
+    }
+
+    /**
+     * Add a job to the queue
+     */
+    async enqueue(type, userId, payload) {
+        if (!jobHandlers[type]) {
+            throw new Error(`Unknown job type: ${type}`);
+        }
+
+        const job = await ExecutionJob.create({
+            user: userId,
+            type,
+            priority: JOB_PRIORITIES[type],
+            payload,
+        });
+
+        this.pump();
+        return job;
+    }
+
+    /**
+     * Call onUpdate with a job snapshot whenever its progress or status changes.
+     * Returns a function that stops watching.
+     */
+    watchJob(jobId, onUpdate) {
+        const id = jobId.toString();
+        let lastUpdatedAt = null;
+        let stopped = false;
+
+        // Updates made in this process are announced directly, others are polled for
+        const onLocalUpdate = (job) => {
+            if (stopped) return;
+            lastUpdatedAt = job.updatedAt?.getTime?.() ?? lastUpdatedAt;
+            onUpdate(job);
+        };
+
+        const poll = async () => {
+            try {
+                const job = await ExecutionJob.findById(id).lean();
+                if (stopped) return;
+                if (!job) return onUpdate(null);
+
+                const updatedAt = job.updatedAt.getTime();
+                if (lastUpdatedAt === null || updatedAt > lastUpdatedAt) {
+                    lastUpdatedAt = updatedAt;
+                    onUpdate(job);
+                }
+            } catch (error) {
+                console.error("Error while polling execution job:", error.message);
+            }
+        };
+
+        this.events.on(`updated:${id}`, onLocalUpdate);
+        const pollTimer = setInterval(poll, POLL_INTERVAL);
+        poll();
+
+        return () => {
+            stopped = true;
+            clearInterval(pollTimer);
+            this.events.off(`updated:${id}`, onLocalUpdate);
+        };
+    }
+
+    /**
+     * Resolve with the finished job (completed or failed)
+     */
+    waitForJob(jobId, { timeout = 120000 } = {}) {
+        return new Promise((resolve, reject) => {
+            const timeoutTimer = setTimeout(() => {
+                stop();
+                reject(new Error("Timed out waiting for execution job"));
+            }, timeout);
+
+            const stop = this.watchJob(jobId, (job) => {
+                if (!job || job.status === "completed" || job.status === "failed") {
+                    clearTimeout(timeoutTimer);
+                    stop();
+                    resolve(job);
+                }
+            });
+        });
+    }
+
+    /**
+     * Queue a job and wait for it to finish, resolving to the job's result
+     */
+    async runJob(type, userId, payload, { timeout } = {}) {
+        const job = await this.enqueue(type, userId, payload);
+        const finished = await this.waitForJob(job._id, { timeout });
+
+        if (!finished || finished.status !== "completed") {
+            throw new Error(finished?.error || "Execution job did not complete");
+        }
+
+        return finished.result;
+    }
+
+    /**
+     * Claim and start jobs while there is free capacity
+     */
+    async pump() {
+        if (!this.started) return;
+        if (this.pumping) {
+            this.pumpRequested = true;
+            return;
+        }
+        this.pumping = true;
+        this.pumpRequested = false;
+
+        try {
+            while (this.running < EXECUTION_CONCURRENCY) {
+                const job = await this.claimNextJob();
+                if (!job) break;
+
+                this.running += 1;
+                this.processJob(job).finally(() => {
+                    this.running -= 1;
+                    this.pump();
+                });
+            }
+        } catch (error) {
+            console.error("Error while claiming execution jobs:", error.message);
+        } finally {
+            this.pumping = false;
+        }
+
+        // Something changed while we were claiming, look again
+        if (this.pumpRequested) this.pump();
+    }
+
+    /**
+     * Atomically claim the next job: highest lane first, then the least busy user
+     */
+    async claimNextJob() {
+        const candidates = await ExecutionJob.find({ status: "queued" })
+            .select("user priority createdAt")
+            .sort({ priority: -1, createdAt: 1 })
+            .limit(CANDIDATE_WINDOW)
+            .lean();
+
+        if (candidates.length === 0) return null;
+
+        const runningByUser = new Map(
+            (await ExecutionJob.aggregate([
+                { $match: { status: "running" } },
+                { $group: { _id: "$user", count: { $sum: 1 } } }
+            ])).map(entry => [entry._id.toString(), entry.count])
+        );
+
+        const ordered = [...candidates].sort((a, b) =>
+            (b.priority - a.priority) ||
+            ((runningByUser.get(a.user.toString()) || 0) - (runningByUser.get(b.user.toString()) || 0)) ||
+            (a.createdAt - b.createdAt)
+        );
+
+        for (const candidate of ordered) {
+            // A lower lane only gets through when the top lane is blocked by per-user caps
+            if ((runningByUser.get(candidate.user.toString()) || 0) >= EXECUTION_MAX_PER_USER) continue;
+
+            const now = new Date();
+            const job = await ExecutionJob.findOneAndUpdate(
+                { _id: candidate._id, status: "queued" },
+                {
+                    status: "running",
+                    workerId: this.workerId,
+                    startedAt: now,
+                    heartbeatAt: now,
+                    progress: { stage: "running" },
+                    $inc: { attempts: 1 }
+                },
+                { new: true }
+            );
+
+            // Another worker may have taken it in the meantime
+            if (job) return job;
+        }
+
+        return null;
+    }
+
+    /**
+     * Run a claimed job and store its outcome
+     */
+    async processJob(job) {
+        const heartbeat = setInterval(() => {
+            ExecutionJob.updateOne({ _id: job._id, workerId: this.workerId }, { heartbeatAt: new Date() })
+                .catch(error => console.error("Error while sending job heartbeat:", error.message));
+        }, HEARTBEAT_INTERVAL);
+
+        // Handlers report progress (stage, current test, per-test verdicts) as they go.
+        // Writes are chained so they land in the order they were reported.
+        let lastProgress = job.progress;
+        let progressWrites = Promise.resolve();
+        const reportProgress = (progress) => {
+            lastProgress = progress;
+            progressWrites = progressWrites.then(async () => {
+                try {
+                    const updated = await ExecutionJob.findOneAndUpdate(
+                        { _id: job._id, workerId: this.workerId },
+                        { progress },
+                        { new: true }
+                    ).lean();
+                    if (updated) this.events.emit(`updated:${job._id}`, updated);
+                } catch (error) {
+                    console.error("Error while storing job progress:", error.message);
+                }
+            });
+            return progressWrites;
+        };
+
+        let update;
+        try {
+            // Follow-up jobs are queued for the same user
+            const enqueue = (type, payload) => this.enqueue(type, job.user, payload);
+            const result = await jobHandlers[job.type](job.payload, { jobId: job._id, reportProgress, enqueue });
+            update = { status: "completed", result, finishedAt: new Date() };
+        } catch (error) {
+            console.error(`Execution job ${job._id} (${job.type}) failed:`, error.message);
+            update = { status: "failed", error: error.message, finishedAt: new Date() };
+        } finally {
+            clearInterval(heartbeat);
+        }
+        await progressWrites;
+        update.progress = { ...(lastProgress || {}), stage: "finished" };
+
+        try {
+            const finished = await ExecutionJob.findOneAndUpdate(
+                { _id: job._id, workerId: this.workerId },
+                update,
+                { new: true }
+            ).lean();
+            if (finished) this.events.emit(`updated:${job._id}`, finished);
+        } catch (error) {
+            console.error("Error while storing execution job result:", error.message);
+        }
+    }
+
+    /**
+     * Requeue jobs whose worker stopped sending heartbeats
+     */
+    async recoverStaleJobs() {
+        const staleBefore = new Date(Date.now() - STALE_AFTER);
+        const stale = { status: "running", heartbeatAt: { $lt: staleBefore } };
+
+        await ExecutionJob.updateMany(
+            { ...stale, attempts: { $gte: EXECUTION_MAX_ATTEMPTS } },
+            { status: "failed", error: "Execution was interrupted too many times", finishedAt: new Date() }
+        );
+
+        const { modifiedCount } = await ExecutionJob.updateMany(
+            { ...stale, attempts: { $lt: EXECUTION_MAX_ATTEMPTS } },
+            { status: "queued", workerId: null, heartbeatAt: null, startedAt: null, progress: { stage: "queued" } }
+        );
+
+        if (modifiedCount > 0) {
+            console.log(`Requeued ${modifiedCount} interrupted execution job(s)`);
+        }
+    }
+}
+
+export default new ExecutionQueue();
@@ -0,0 +1,39 @@
+/**
+ * The execution backend for this deployment, picked with EXECUTOR_BACKEND:
+ *
+ *   simple    - local processes without isolation (development only)
+ *   container - local processes in the sandbox (see codeExecutor.js, sandbox.js)
+ *   remote    - a Judge0-compatible HTTP judge (see remoteExecutor.js)
+ *
+ * All backends share the BaseExecutor interface and result contract.
+ * Only the selected backend's module is loaded, so the others' startup work
+ * (sandbox probing, runtime checks) does not run.
+ */
+
+const BACKEND_LOADERS = {
+    simple: () => import("./simpleCodeExecutor.js"),
+    container: () => import("./codeExecutor.js"),
+    remote: () => import("./remoteExecutor.js"),
+};
+
+export const EXECUTOR_BACKENDS = Object.keys(BACKEND_LOADERS);
+
+export const EXECUTOR_BACKEND = process.env.EXECUTOR_BACKEND || "simple";
+
+if (!BACKEND_LOADERS[EXECUTOR_BACKEND]) {
+    throw new Error(`Unknown EXECUTOR_BACKEND "${EXECUTOR_BACKEND}". Supported backends: ${EXECUTOR_BACKENDS.join(", ")}`);
+}
+
+const { default: executor } = await BACKEND_LOADERS[EXECUTOR_BACKEND]();
+
+/**
+ * Why the selected backend cannot judge a problem of this type, or null when it can
+ */
+export function unsupportedProblemType(problemType) {
+    if (problemType === "interactive" && !executor.supportsInteractive) {
+        return `Interactive problems are not supported by the ${EXECUTOR_BACKEND} executor backend`;
+    }
+    return null;
+}
+
+export default executor;
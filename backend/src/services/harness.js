@@ -0,0 +1,393 @@
+/**
+ * LeetCode-style function harness.
+ *
+ * A problem declares a function signature (name, typed params, return type).
+ * Test inputs then hold one JSON value per line, one line per parameter, and
+ * the expected output is the JSON-serialized return value. For each language
+ * we generate starter code from the signature and, at execution time, append
+ * a driver that parses the input, calls the candidate's function and prints
+ * the result as compact JSON.
+ *
+ * Every driver prints the same canonical JSON, so an expected output matches
+ * whichever language produced it: strings in raw UTF-8 with JavaScript's
+ * escapes, whole numbers (doubles too) as integers, other numbers as their
+ * shortest round-trip digits in plain notation, never with an exponent.
+ */
+
+export const SIGNATURE_TYPES = [
+    "int", "long", "double", "boolean", "string",
+    "int[]", "long[]", "double[]", "boolean[]", "string[]",
+    "int[][]", "string[][]",
+];
+
+// Languages with a driver below; signature problems only accept these
+export const HARNESS_LANGUAGES = ["javascript", "typescript", "python", "java"];
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_PARAMS = 10;
+
+const JAVA_TYPES = {
+    "int": "int", "long": "long", "double": "double", "boolean": "boolean", "string": "String",
+    "int[]": "int[]", "long[]": "long[]", "double[]": "double[]", "boolean[]": "boolean[]", "string[]": "String[]",
+    "int[][]": "int[][]", "string[][]": "String[][]",
+};
+
+// HarnessJson converter for each parameter type (see JAVA_JSON_SUPPORT)
+const JAVA_CONVERTERS = {
+    "int": "toInt", "long": "toLong", "double": "toDouble", "boolean": "toBoolean", "string": "toStr",
+    "int[]": "toIntArray", "long[]": "toLongArray", "double[]": "toDoubleArray", "boolean[]": "toBooleanArray",
+    "string[]": "toStringArray", "int[][]": "toIntMatrix", "string[][]": "toStringMatrix",
+};
+
+const PYTHON_TYPES = {
+    "int": "int", "long": "int", "double": "float", "boolean": "bool", "string": "str",
+    "int[]": "List[int]", "long[]": "List[int]", "double[]": "List[float]", "boolean[]": "List[bool]",
+    "string[]": "List[str]", "int[][]": "List[List[int]]", "string[][]": "List[List[str]]",
+};
+
+// JSDoc and TypeScript share type syntax
+const JSDOC_TYPES = {
+    "int": "number", "long": "number", "double": "number", "boolean": "boolean", "string": "string",
+    "int[]": "number[]", "long[]": "number[]", "double[]": "number[]", "boolean[]": "boolean[]",
+    "string[]": "string[]", "int[][]": "number[][]", "string[][]": "string[][]",
+};
+
+/**
+ * Validate a signature, returns an error message or null
+ */
+export function validateSignature(signature) {
+    if (!signature || typeof signature !== "object") {
+        return "Signature must be an object with functionName, params and returnType";
+    }
+    if (typeof signature.functionName !== "string" || !IDENTIFIER.test(signature.functionName)) {
+        return "Signature functionName must be a valid identifier";
+    }
+    if (!Array.isArray(signature.params) || signature.params.length > MAX_PARAMS) {
+        return `Signature params must be an array of at most ${MAX_PARAMS} parameters`;
+    }
+
+    const names = new Set();
+    for (const param of signature.params) {
+        if (typeof param?.name !== "string" || !IDENTIFIER.test(param.name)) {
+            return `Invalid parameter name: ${param?.name}`;
+        }
+        if (names.has(param.name)) {
+            return `Duplicate parameter name: ${param.name}`;
+        }
+        names.add(param.name);
+        if (!SIGNATURE_TYPES.includes(param.type)) {
+            return `Invalid type for parameter ${param.name}. Supported types: ${SIGNATURE_TYPES.join(", ")}`;
+        }
+    }
+
+    if (!SIGNATURE_TYPES.includes(signature.returnType)) {
+        return `Invalid returnType. Supported types: ${SIGNATURE_TYPES.join(", ")}`;
+    }
+
+    return null;
+}
+
+/**
+ * Check that a test input holds one JSON value per parameter, returns an error message or null
+ */
+export function validateHarnessInput(signature, input) {
+    const lines = input.split("\n").filter(line => line.trim() !== "");
+
+    if (lines.length !== signature.params.length) {
+        return `Expected ${signature.params.length} input line(s) (one JSON value per parameter), got ${lines.length}`;
+    }
+
+    for (const [index, line] of lines.entries()) {
+        try {
+            JSON.parse(line);
+        } catch {
+            return `Input line ${index + 1} (${signature.params[index].name}) is not valid JSON`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Starter code for a language, generated from the signature
+ */
+export function generateStarterCode(signature, language) {
+    const { functionName, params, returnType } = signature;
+
+    switch (language) {
+        case "javascript": {
+            const docs = [
+                ...params.map(p => ` * @param {${JSDOC_TYPES[p.type]}} ${p.name}`),
+                ` * @return {${JSDOC_TYPES[returnType]}}`
+            ].join("\n");
+            return `/**\n${docs}\n */\nfunction ${functionName}(${params.map(p => p.name).join(", ")}) {\n    \n}\n`;
+        }
+        case "typescript": {
+            const args = params.map(p => `${p.name}: ${JSDOC_TYPES[p.type]}`).join(", ");
+            return `function ${functionName}(${args}): ${JSDOC_TYPES[returnType]} {\n    \n}\n`;
+        }
+        case "python": {
+            const args = ["self", ...params.map(p => `${p.name}: ${PYTHON_TYPES[p.type]}`)].join(", ");
+            return `from typing import List\n\n\nclass Solution:\n    def ${functionName}(${args}) -> ${PYTHON_TYPES[returnType]}:\n        pass\n`;
+        }
+        case "java": {
+            const args = params.map(p => `${JAVA_TYPES[p.type]} ${p.name}`).join(", ");
+            return `class Solution {\n    public ${JAVA_TYPES[returnType]} ${functionName}(${args}) {\n        \n    }\n}\n`;
+        }
+        default:
+            throw new Error(`Unsupported language: ${language}`);
+    }
+}
+
+// Canonical JSON writer shared by the JavaScript and TypeScript drivers (implicitly `any`-typed)
+const JS_CANONICAL_JSON = `
+function __canonicalNumber(n) {
+    if (!Number.isFinite(n)) return "null";
+    if (Number.isInteger(n)) return BigInt(n).toString();
+    const [mantissa, exponent] = String(n).split("e");
+    if (exponent === undefined) return mantissa;
+    // Only fractions below 1e-6 get an exponent: shift their digits right
+    const sign = mantissa.startsWith("-") ? "-" : "";
+    return sign + "0." + "0".repeat(-Number(exponent) - 1) + mantissa.replace("-", "").replace(".", "");
+}
+
+function __canonicalJson(value) {
+    if (typeof value === "number") return __canonicalNumber(value);
+    if (Array.isArray(value)) return "[" + value.map(__canonicalJson).join(",") + "]";
+    return JSON.stringify(value === undefined ? null : value);
+}
+`;
+
+// Minimal JSON reader/writer for the Java driver (no third-party libraries on the classpath)
+const JAVA_JSON_SUPPORT = `
+class HarnessJson {
+    private final String s;
+    private int i = 0;
+
+    private HarnessJson(String s) { this.s = s; }
+
+    static Object parse(String text) { return new HarnessJson(text).value(); }
+
+    private void skipWhitespace() { while (i < s.length() && Character.isWhitespace(s.charAt(i))) i++; }
+
+    private Object value() {
+        skipWhitespace();
+        char c = s.charAt(i);
+        if (c == '[') {
+            i++;
+            java.util.List<Object> list = new java.util.ArrayList<>();
+            skipWhitespace();
+            if (s.charAt(i) == ']') { i++; return list; }
+            while (true) {
+                list.add(value());
+                skipWhitespace();
+                if (s.charAt(i++) == ']') return list;
+            }
+        }
+        if (c == '"') {
+            i++;
+            StringBuilder sb = new StringBuilder();
+            while (true) {
+                char d = s.charAt(i++);
+                if (d == '"') return sb.toString();
+                if (d != '\\\\') { sb.append(d); continue; }
+                char e = s.charAt(i++);
+                switch (e) {
+                    case 'n': sb.append('\\n'); break;
+                    case 't': sb.append('\\t'); break;
+                    case 'r': sb.append('\\r'); break;
+                    case 'b': sb.append('\\b'); break;
+                    case 'f': sb.append('\\f'); break;
+                    case 'u': sb.append((char) Integer.parseInt(s.substring(i, i + 4), 16)); i += 4; break;
+                    default: sb.append(e);
+                }
+            }
+        }
+        if (s.startsWith("true", i)) { i += 4; return Boolean.TRUE; }
+        if (s.startsWith("false", i)) { i += 5; return Boolean.FALSE; }
+        if (s.startsWith("null", i)) { i += 4; return null; }
+        int start = i;
+        while (i < s.length() && "+-0123456789.eE".indexOf(s.charAt(i)) >= 0) i++;
+        String number = s.substring(start, i);
+        if (number.contains(".") || number.contains("e") || number.contains("E")) return Double.parseDouble(number);
+        return Long.parseLong(number);
+    }
+
+    static java.util.List<?> list(Object v) { return (java.util.List<?>) v; }
+    static int toInt(Object v) { return ((Number) v).intValue(); }
+    static long toLong(Object v) { return ((Number) v).longValue(); }
+    static double toDouble(Object v) { return ((Number) v).doubleValue(); }
+    static boolean toBoolean(Object v) { return (Boolean) v; }
+    static String toStr(Object v) { return (String) v; }
+
+    static int[] toIntArray(Object v) {
+        java.util.List<?> l = list(v); int[] r = new int[l.size()];
+        for (int k = 0; k < r.length; k++) r[k] = toInt(l.get(k));
+        return r;
+    }
+    static long[] toLongArray(Object v) {
+        java.util.List<?> l = list(v); long[] r = new long[l.size()];
+        for (int k = 0; k < r.length; k++) r[k] = toLong(l.get(k));
+        return r;
+    }
+    static double[] toDoubleArray(Object v) {
+        java.util.List<?> l = list(v); double[] r = new double[l.size()];
+        for (int k = 0; k < r.length; k++) r[k] = toDouble(l.get(k));
+        return r;
+    }
+    static boolean[] toBooleanArray(Object v) {
+        java.util.List<?> l = list(v); boolean[] r = new boolean[l.size()];
+        for (int k = 0; k < r.length; k++) r[k] = toBoolean(l.get(k));
+        return r;
+    }
+    static String[] toStringArray(Object v) {
+        java.util.List<?> l = list(v); String[] r = new String[l.size()];
+        for (int k = 0; k < r.length; k++) r[k] = toStr(l.get(k));
+        return r;
+    }
+    static int[][] toIntMatrix(Object v) {
+        java.util.List<?> l = list(v); int[][] r = new int[l.size()][];
+        for (int k = 0; k < r.length; k++) r[k] = toIntArray(l.get(k));
+        return r;
+    }
+    static String[][] toStringMatrix(Object v) {
+        java.util.List<?> l = list(v); String[][] r = new String[l.size()][];
+        for (int k = 0; k < r.length; k++) r[k] = toStringArray(l.get(k));
+        return r;
+    }
+
+    static String stringify(Object v) {
+        if (v == null) return "null";
+        if (v instanceof String || v instanceof Character) return quote(v.toString());
+        if (v instanceof Double || v instanceof Float) return number(((Number) v).doubleValue());
+        if (v instanceof Boolean || v instanceof Number) return v.toString();
+        if (v.getClass().isArray()) {
+            StringBuilder sb = new StringBuilder("[");
+            for (int k = 0; k < java.lang.reflect.Array.getLength(v); k++) {
+                if (k > 0) sb.append(',');
+                sb.append(stringify(java.lang.reflect.Array.get(v, k)));
+            }
+            return sb.append(']').toString();
+        }
+        if (v instanceof Iterable) {
+            StringBuilder sb = new StringBuilder("[");
+            boolean first = true;
+            for (Object item : (Iterable<?>) v) {
+                if (!first) sb.append(',');
+                sb.append(stringify(item));
+                first = false;
+            }
+            return sb.append(']').toString();
+        }
+        return quote(v.toString());
+    }
+
+    // Whole numbers as integers, others in plain notation (Double.toString switches to 1.0E10 style)
+    static String number(double d) {
+        if (Double.isNaN(d) || Double.isInfinite(d)) return "null";
+        if (d == Math.rint(d)) return new java.math.BigDecimal(d).toBigInteger().toString();
+        return new java.math.BigDecimal(Double.toString(d)).stripTrailingZeros().toPlainString();
+    }
+
+    static String quote(String text) {
+        StringBuilder sb = new StringBuilder("\\"");
+        for (char c : text.toCharArray()) {
+            switch (c) {
+                case '"': sb.append("\\\\\\""); break;
+                case '\\\\': sb.append("\\\\\\\\"); break;
+                case '\\n': sb.append("\\\\n"); break;
+                case '\\r': sb.append("\\\\r"); break;
+                case '\\t': sb.append("\\\\t"); break;
+                case '\\b': sb.append("\\\\b"); break;
+                case '\\f': sb.append("\\\\f"); break;
+                default:
+                    if (c < 0x20) sb.append(String.format("\\\\u%04x", (int) c));
+                    else sb.append(c);
+            }
+        }
+        return sb.append('"').toString();
+    }
+}
+`;
+
+/**
+ * Append the language's driver to the candidate's code.
+ * The candidate's code comes first so compiler/runtime line numbers still match.
+ */
+export function buildHarnessProgram(signature, language, code) {
+    const { functionName, params, returnType } = signature;
+
+    switch (language) {
+        case "javascript":
+            // Runs inside the executor's stdin wrapper, which collects `inputLines`
+            return `${code}
+
+const __args = inputLines.filter(line => line.trim() !== "").map(line => JSON.parse(line));
+console.log(__canonicalJson(${functionName}(...__args)));
+${JS_CANONICAL_JSON}`;
+        case "typescript":
+            // Same wrapper as JavaScript; the spread needs an untyped call
+            return `${code}
+
+const __args = inputLines.filter(line => line.trim() !== "").map(line => JSON.parse(line));
+console.log(__canonicalJson((${functionName} as any)(...__args)));
+${JS_CANONICAL_JSON}`;
+        case "python":
+            return `${code}
+
+
+def __harness_json(value):
+    import json
+    import math
+    from decimal import Decimal
+    if value is None or isinstance(value, bool):
+        return json.dumps(value)
+    if isinstance(value, float):
+        if not math.isfinite(value):
+            return "null"
+        if value.is_integer():
+            return str(int(value))
+        return format(Decimal(repr(value)), "f")
+    if isinstance(value, (list, tuple)):
+        return "[" + ",".join(__harness_json(item) for item in value) + "]"
+    return json.dumps(value, ensure_ascii=False)
+
+
+def __harness_main():
+    import json
+    import sys
+    args = [json.loads(line) for line in sys.stdin.buffer.read().decode("utf-8").splitlines() if line.strip()]
+    fn = getattr(Solution(), "${functionName}") if "Solution" in globals() else globals()["${functionName}"]
+    sys.stdout.buffer.write((__harness_json(fn(*args)) + "\\n").encode("utf-8"))
+
+
+__harness_main()
+`;
+        case "java": {
+            // The driver class must be the only public one so the file is named after it
+            const userCode = code.replace(/public\s+class\s+Solution\b/, "class Solution");
+            const args = params
+                .map((p, index) => `HarnessJson.${JAVA_CONVERTERS[p.type]}(HarnessJson.parse(lines.get(${index})))`)
+                .join(", ");
+            return `${userCode}
+
+public class Main {
+    public static void main(String[] args) throws Exception {
+        // UTF-8 both ways: the sandbox's empty environment would otherwise mean ASCII
+        java.io.BufferedReader reader = new java.io.BufferedReader(new java.io.InputStreamReader(System.in, "UTF-8"));
+        java.util.List<String> lines = new java.util.ArrayList<>();
+        String line;
+        while ((line = reader.readLine()) != null) {
+            if (!line.trim().isEmpty()) lines.add(line);
+        }
+        ${JAVA_TYPES[returnType]} result = new Solution().${functionName}(${args});
+        java.io.PrintStream out = new java.io.PrintStream(new java.io.FileOutputStream(java.io.FileDescriptor.out), true, "UTF-8");
+        out.println(HarnessJson.stringify(result));
+    }
+}
+${JAVA_JSON_SUPPORT}`;
+        }
+        default:
+            throw new Error(`Unsupported language: ${language}`);
+    }
+}
@@ -0,0 +1,137 @@
+import mongoose from "mongoose";
+
+import { ENV } from "../lib/env.js";
+import { chatClient } from "../lib/stream.js";
+import codeExecutor, { EXECUTOR_BACKEND } from "./executor.js";
+
+// Probe settings - can be overridden by environment variables
+const HEALTH_CHECK_TIMEOUT = parseInt(process.env.HEALTH_CHECK_TIMEOUT) || 3000; // per component
+// Stream is a third-party API with rate limits, so its answer is reused for a while
+const STREAM_CHECK_TTL = parseInt(process.env.HEALTH_STREAM_CHECK_TTL) || 60 * 1000; // 1 minute
+// Runtimes are probed again once their last probe is this old, so an uninstalled toolchain shows up
+const RUNTIME_CHECK_TTL = parseInt(process.env.HEALTH_RUNTIME_CHECK_TTL) || 30 * 1000; // 30 seconds
+
+export const HEALTH_STATUSES = {
+    OK: "ok",
+    DEGRADED: "degraded",
+    DOWN: "down"
+};
+
+let streamCheck = null;
+
+function withTimeout(promise, what) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} did not answer within ${HEALTH_CHECK_TIMEOUT}ms`)), HEALTH_CHECK_TIMEOUT);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkDatabase() {
+    const state = mongoose.connection.readyState;
+    if (state !== mongoose.ConnectionStates.connected) {
+        return { status: HEALTH_STATUSES.DOWN, state: mongoose.ConnectionStates[state] };
+    }
+
+    const startTime = Date.now();
+    await withTimeout(mongoose.connection.db.admin().ping(), "MongoDB");
+    return { status: HEALTH_STATUSES.OK, state: "connected", latencyMs: Date.now() - startTime };
+}
+
+async function checkStream() {
+    if (!ENV.STREAM_API_KEY || !ENV.STREAM_API_SECRET) {
+        return { status: HEALTH_STATUSES.DOWN, message: "STREAM_API_KEY or STREAM_API_SECRET is missing" };
+    }
+
+    if (!streamCheck || Date.now() - streamCheck.checkedAt > STREAM_CHECK_TTL) {
+        let result;
+        try {
+            // Any authenticated call verifies the credentials
+            await withTimeout(chatClient.getAppSettings(), "Stream");
+            result = { status: HEALTH_STATUSES.OK };
+        } catch (error) {
+            result = { status: HEALTH_STATUSES.DOWN, message: error.message };
+        }
+        streamCheck = { result, checkedAt: Date.now() };
+    }
+
+    return { ...streamCheck.result, checkedAt: new Date(streamCheck.checkedAt) };
+}
+
+// Runtimes are degraded while some languages are missing and down once none is left
+function runtimesComponent(runtimes) {
+    const available = runtimes.filter(runtime => runtime.available).length;
+    const status = available === runtimes.length
+        ? HEALTH_STATUSES.OK
+        : available > 0 ? HEALTH_STATUSES.DEGRADED : HEALTH_STATUSES.DOWN;
+
+    return { status, backend: EXECUTOR_BACKEND, languages: runtimes };
+}
+
+// A failing check reports its component as down instead of failing the probe
+async function settle(check) {
+    try {
+        return await check();
+    } catch (error) {
+        return { status: HEALTH_STATUSES.DOWN, message: error.message };
+    }
+}
+
+/**
+ * Liveness: the process is up and serving requests. Deliberately checks
+ * nothing else, so a dependency outage never gets the process restarted
+ */
+export function getLiveness() {
+    return {
+        status: HEALTH_STATUSES.OK,
+        uptime: Math.round(process.uptime())
+    };
+}
+
+/**
+ * Readiness: every component with its own status, and an overall status that
+ * is down when a component the judge cannot work without is down (MongoDB,
+ * the temp directory, all runtimes) and degraded when anything else is off
+ * (Stream only affects sessions, a missing runtime only its language)
+ */
+export async function getReadiness() {
+    const [database, stream, executor] = await Promise.all([
+        settle(checkDatabase),
+        settle(checkStream),
+        settle(() => withTimeout(codeExecutor.healthCheck({ maxAge: RUNTIME_CHECK_TTL }), "Executor"))
+    ]);
+
+    const components = { database, stream };
+    const critical = [database];
+
+    if (executor.runtimes) {
+        components.runtimes = runtimesComponent(executor.runtimes);
+        critical.push(components.runtimes);
+
+        if (executor.tempDir) {
+            const { writable, ...tempDir } = executor.tempDir;
+            components.tempDir = { status: writable ? HEALTH_STATUSES.OK : HEALTH_STATUSES.DOWN, ...tempDir };
+            critical.push(components.tempDir);
+        }
+        if (executor.sandbox) {
+            components.runtimes.sandbox = executor.sandbox;
+        }
+    } else {
+        components.runtimes = { ...executor, backend: EXECUTOR_BACKEND };
+        critical.push(components.runtimes);
+    }
+
+    let status = HEALTH_STATUSES.OK;
+    if (critical.some(component => component.status === HEALTH_STATUSES.DOWN)) {
+        status = HEALTH_STATUSES.DOWN;
+    } else if (Object.values(components).some(component => component.status !== HEALTH_STATUSES.OK)) {
+        status = HEALTH_STATUSES.DEGRADED;
+    }
+
+    return {
+        status,
+        checkedAt: new Date(),
+        uptime: Math.round(process.uptime()),
+        components
+    };
+}
@@ -0,0 +1,190 @@
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+import { shellQuote } from "./sandbox.js";
+import { writeTestDataFile } from "./testData.js";
+
+/**
+ * Interactive runs: a candidate's solution and the problem's interactor run
+ * side by side, each one's stdout piped into the other's stdin.
+ *
+ * The interactor is started with two file arguments, the test's input and its
+ * expected answer, and talks to the solution over stdin/stdout. It decides the
+ * test with its exit code (see INTERACTOR_EXIT_CODES); anything it writes to
+ * stderr is shown as the test's message.
+ */
+
+export const INTERACTOR_EXIT_CODES = {
+    ACCEPTED: 0,
+    WRONG_ANSWER: 1,
+};
+
+// Enough of the exchange to debug a test, not to replay a long one
+const TRANSCRIPT_LIMIT = 16 * 1024; // 16KB
+const STDERR_LIMIT = 64 * 1024; // 64KB
+
+const TRANSCRIPT_PREFIXES = { solution: "> ", interactor: "< " };
+
+/**
+ * Records the exchange in the order the data passed through, one line per
+ * message: "> " for what the solution sent, "< " for what the interactor sent
+ */
+class Transcript {
+    constructor(limit) {
+        this.limit = limit;
+        this.text = "";
+        this.pending = { solution: "", interactor: "" };
+        this.truncated = false;
+    }
+
+    add(from, chunk) {
+        const lines = (this.pending[from] + chunk.toString("utf8")).split("\n");
+        this.pending[from] = lines.pop();
+        lines.forEach(line => this.append(from, line));
+    }
+
+    append(from, line) {
+        if (this.truncated) return;
+
+        const entry = `${TRANSCRIPT_PREFIXES[from]}${line}\n`;
+        if (this.text.length + entry.length > this.limit) {
+            this.text += "... (transcript truncated)\n";
+            this.truncated = true;
+            return;
+        }
+        this.text += entry;
+    }
+
+    toString() {
+        for (const from of Object.keys(this.pending)) {
+            if (this.pending[from]) this.append(from, this.pending[from]);
+            this.pending[from] = "";
+        }
+        return this.text.trimEnd();
+    }
+}
+
+/**
+ * Write a test's input and expected answer into the interactor's directory,
+ * named uniquely per run since runs share the directory. Resolves to the
+ * interactor's command-line arguments and a function removing the files.
+ */
+export async function writeTestFiles(dir, testCase) {
+    const id = crypto.randomBytes(8).toString("hex");
+    const inputFile = `test-${id}.in`;
+    const answerFile = `test-${id}.ans`;
+
+    await writeTestDataFile(path.join(dir, inputFile), testCase.input || "");
+    await writeTestDataFile(path.join(dir, answerFile), testCase.expectedOutput || "");
+
+    return {
+        args: `${shellQuote(inputFile)} ${shellQuote(answerFile)}`,
+        remove: async () => {
+            await fs.rm(path.join(dir, inputFile), { force: true });
+            await fs.rm(path.join(dir, answerFile), { force: true });
+        }
+    };
+}
+
+/**
+ * Start a shell command in its own process group, so the whole job can be killed
+ */
+function startProcess({ command, cwd }) {
+    const child = spawn(command, { cwd, shell: true, detached: true, stdio: ["pipe", "pipe", "pipe"] });
+    const side = { child, exitCode: null, signal: null, stderr: "" };
+
+    child.stdin.on("error", () => {});
+    child.stderr.on("data", chunk => {
+        if (side.stderr.length < STDERR_LIMIT) side.stderr += chunk.toString("utf8");
+    });
+    side.exited = new Promise(resolve => {
+        child.on("close", (exitCode, signal) => {
+            side.exitCode = exitCode;
+            side.signal = signal;
+            resolve();
+        });
+        child.on("error", error => {
+            side.stderr += error.message;
+            resolve();
+        });
+    });
+
+    return side;
+}
+
+function killProcessGroup(child) {
+    try {
+        process.kill(-child.pid, "SIGKILL");
+    } catch {
+        // Already gone
+    }
+}
+
+/**
+ * Run an already wrapped solution and interactor command against each other.
+ * The solution's output counts against `outputLimitBytes`; both are killed
+ * after `timeoutMs` (a backstop, the commands are expected to limit themselves).
+ *
+ * Resolves to { solution, interactor, transcript, killed } where both sides are
+ * { exitCode, signal, stderr } and solution also has `outputExceeded`.
+ */
+export async function runInteraction({ solution, interactor, outputLimitBytes, timeoutMs }) {
+    const transcript = new Transcript(TRANSCRIPT_LIMIT);
+    const solutionSide = startProcess(solution);
+    const interactorSide = startProcess(interactor);
+
+    let solutionOutputBytes = 0;
+    let outputExceeded = false;
+    let killed = false;
+
+    solutionSide.child.stdout.on("data", chunk => {
+        solutionOutputBytes += chunk.length;
+        if (solutionOutputBytes > outputLimitBytes) {
+            if (!outputExceeded) {
+                outputExceeded = true;
+                killProcessGroup(solutionSide.child);
+            }
+            return;
+        }
+        transcript.add("solution", chunk);
+        interactorSide.child.stdin.write(chunk);
+    });
+    interactorSide.child.stdout.on("data", chunk => {
+        transcript.add("interactor", chunk);
+        solutionSide.child.stdin.write(chunk);
+    });
+
+    // Once one side stops writing, the other sees end of input
+    solutionSide.child.stdout.on("end", () => interactorSide.child.stdin.end());
+    interactorSide.child.stdout.on("end", () => solutionSide.child.stdin.end());
+
+    const timer = setTimeout(() => {
+        killed = true;
+        killProcessGroup(solutionSide.child);
+        killProcessGroup(interactorSide.child);
+    }, timeoutMs);
+
+    try {
+        await Promise.all([solutionSide.exited, interactorSide.exited]);
+    } finally {
+        clearTimeout(timer);
+    }
+
+    return {
+        solution: {
+            exitCode: solutionSide.exitCode,
+            signal: solutionSide.signal,
+            stderr: solutionSide.stderr.trim(),
+            outputExceeded
+        },
+        interactor: {
+            exitCode: interactorSide.exitCode,
+            signal: interactorSide.signal,
+            stderr: interactorSide.stderr.trim()
+        },
+        transcript: transcript.toString(),
+        killed
+    };
+}
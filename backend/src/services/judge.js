@@ -0,0 +1,622 @@
+import Problem from "../models/Problem.js";
+import Submission from "../models/Submission.js";
+import Rejudge from "../models/Rejudge.js";
+import PlagiarismReport from "../models/PlagiarismReport.js";
+import codeExecutor, { unsupportedProblemType } from "./executor.js";
+import { buildHarnessProgram } from "./harness.js";
+import { VERDICTS } from "./verdicts.js";
+import { STOP_POLICIES } from "./testRunner.js";
+import { validateInputs } from "./validators.js";
+import { stressTest } from "./stressTest.js";
+import { estimateComplexity } from "./complexity.js";
+import { findSimilarPairs } from "./plagiarism.js";
+import { executableTestCase, externalizeTestCases, isTestDataRef } from "./testData.js";
+
+/**
+ * Job handlers for the execution queue.
+ * Each handler receives the job payload and returns a plain, storable result;
+ * it can report progress and queue follow-up jobs through its context.
+ */
+
+// Characters of a test's output and error kept in stored results
+const STORED_TEXT_PREVIEW = 4096;
+
+async function loadActiveProblem(problemId) {
+    const problem = await Problem.findById(problemId);
+    if (!problem || !problem.isActive) {
+        throw new Error("Problem not found or not currently available");
+    }
+    return problem;
+}
+
+/**
+ * The program to execute: the candidate's code, plus the harness driver for signature problems
+ */
+function programFor(problem, language, code) {
+    return problem.signature ? buildHarnessProgram(problem.signature, language, code) : code;
+}
+
+/**
+ * The interactor judging a problem's tests, or null for standard problems.
+ * Throws when the executor backend cannot run interactive problems.
+ */
+function interactorFor(problem) {
+    const unsupported = unsupportedProblemType(problem.problemType);
+    if (unsupported) throw new Error(unsupported);
+
+    return problem.problemType === "interactive" ? problem.interactor : null;
+}
+
+/**
+ * Turn executor progress callbacks into job progress reports.
+ * Only verdicts and timings are reported, never test input or output.
+ * Tests finish out of order when run in parallel; reports list them in test order.
+ */
+function trackTestProgress(reportProgress) {
+    const results = [];
+
+    return ({ stage, currentTest, totalTests, testResult }) => {
+        if (testResult) {
+            results.push({
+                test: currentTest,
+                verdict: testResult.verdict,
+                passed: testResult.passed,
+                executionTime: testResult.executionTime,
+                cpuTime: testResult.cpuTime,
+                peakMemory: testResult.peakMemory
+            });
+            results.sort((a, b) => a.test - b.test);
+        }
+        reportProgress?.({ stage, currentTest, totalTests, results: [...results] });
+    };
+}
+
+/**
+ * Judge code against all of a problem's test cases
+ */
+async function judgeAllTests(problem, language, code, onProgress) {
+    const program = programFor(problem, language, code);
+    const testCases = problem.testCases.map(executableTestCase);
+    return await codeExecutor.runTestCases(program, language, testCases, problem.getLimits(language), {
+        onProgress,
+        checker: problem.checker,
+        interactor: interactorFor(problem)
+    });
+}
+
+/**
+ * Test results as submissions and job results store them: a run may print up
+ * to its output limit, far past what fits in a document, so its output and
+ * error are cut to a preview
+ */
+function storedTestResults(results) {
+    const preview = (text = "") => text.length > STORED_TEXT_PREVIEW
+        ? `${text.slice(0, STORED_TEXT_PREVIEW)}\n... (truncated, ${text.length} characters in total)`
+        : text;
+
+    return results.map(result => ({
+        ...result,
+        actualOutput: preview(result.actualOutput),
+        error: preview(result.error)
+    }));
+}
+
+/**
+ * The Submission fields that follow from judging it
+ */
+function judgedFields(testResults) {
+    const executionTimes = testResults.results.map(r => r.executionTime || 0);
+
+    return {
+        accepted: testResults.summary.allPassed,
+        verdict: testResults.summary.verdict,
+        results: storedTestResults(testResults.results),
+        summary: {
+            total: testResults.summary.total,
+            passed: testResults.summary.passed,
+            failed: testResults.summary.failed
+        },
+        compilationError: testResults.summary.compilationError,
+        totalExecutionTime: executionTimes.reduce((sum, t) => sum + t, 0),
+        maxExecutionTime: Math.max(0, ...executionTimes),
+        maxCpuTime: Math.max(0, ...testResults.results.map(r => r.cpuTime || 0)),
+        peakMemory: Math.max(0, ...testResults.results.map(r => r.peakMemory || 0))
+    };
+}
+
+/**
+ * Judge a submission against all test cases, persist it and update problem stats.
+ * Accepted submissions to problems with a scaling generator get their
+ * complexity estimated by a follow-up job.
+ *
+ * A job that is run again after its worker was lost stores the same
+ * submission, keyed by the job: only the first run to store it counts it.
+ */
+export async function judgeSubmission({ userId, problemId, code, language }, { jobId, reportProgress, enqueue } = {}) {
+    const problem = await loadActiveProblem(problemId);
+
+    const testResults = await judgeAllTests(problem, language, code, trackTestProgress(reportProgress));
+    const analyzeComplexity = testResults.summary.allPassed && Boolean(problem.scalingGenerator) && Boolean(enqueue);
+
+    // Persist the submission so it can be reviewed later
+    const judged = judgedFields(testResults);
+    const fields = {
+        user: userId,
+        problem: problem._id,
+        language,
+        code,
+        ...judged,
+        complexity: analyzeComplexity ? { status: "pending" } : null
+    };
+    let submission;
+    let inserted = true;
+    if (jobId) {
+        const { value, lastErrorObject } = await Submission.findOneAndUpdate(
+            { job: jobId },
+            { $setOnInsert: { ...fields, job: jobId } },
+            { upsert: true, new: true, includeResultMetadata: true }
+        );
+        submission = value;
+        inserted = !lastErrorObject.updatedExisting;
+    } else {
+        submission = await Submission.create(fields);
+    }
+
+    if (!inserted) {
+        return {
+            submissionId: submission._id.toString(),
+            results: submission.results,
+            summary: testResults.summary
+        };
+    }
+
+    // The verdict stands whether or not the analysis can be queued
+    if (analyzeComplexity) {
+        try {
+            await enqueue("complexity", { submissionId: submission._id.toString() });
+        } catch (error) {
+            console.error("Error while queueing complexity analysis:", error.message);
+            await Submission.updateOne({ _id: submission._id }, {
+                "complexity.status": "failed",
+                "complexity.error": error.message
+            });
+        }
+    }
+
+    // Update problem statistics
+    const increments = { totalSubmissions: 1, totalAccepted: testResults.summary.allPassed ? 1 : 0 };
+    const updated = await Problem.findByIdAndUpdate(problem._id, { $inc: increments }, { new: true });
+
+    // Calculate acceptance rate
+    if (updated.totalSubmissions > 0) {
+        updated.acceptanceRate = Math.round((updated.totalAccepted / updated.totalSubmissions) * 100);
+        await updated.save();
+    }
+
+    return {
+        submissionId: submission._id.toString(),
+        results: judged.results,
+        summary: testResults.summary
+    };
+}
+
+/**
+ * Run code against the visible test cases of a problem
+ */
+export async function runVisibleTests({ problemId, code, language }, { reportProgress } = {}) {
+    const problem = await loadActiveProblem(problemId);
+
+    const visibleTestCases = problem.testCases.filter(tc => !tc.isHidden).map(executableTestCase);
+    const program = programFor(problem, language, code);
+    const testResults = await codeExecutor.runTestCases(program, language, visibleTestCases, problem.getLimits(language), {
+        onProgress: trackTestProgress(reportProgress),
+        checker: problem.checker,
+        interactor: interactorFor(problem)
+    });
+
+    return {
+        results: storedTestResults(testResults.results),
+        summary: testResults.summary
+    };
+}
+
+/**
+ * Run code once with custom input (through the problem's harness and limits when one is given).
+ * For interactive problems the input is handed to the interactor as a test's input.
+ * Input the problem's validator rejects is not run: the result is { inputRejected: true, error }.
+ */
+export async function runCustomInput({ problemId, code, language, input }) {
+    if (!problemId) {
+        return await codeExecutor.executeCode(code, language, input || "");
+    }
+
+    const problem = await loadActiveProblem(problemId);
+    if (problem.inputValidator) {
+        const [rejection] = await validateInputs(problem.inputValidator, [input || ""], codeExecutor);
+        if (rejection) {
+            return { inputRejected: true, error: rejection.message };
+        }
+    }
+
+    const interactor = interactorFor(problem);
+    if (interactor) {
+        return await codeExecutor.executeInteractive(code, language, interactor, {
+            input: input || "",
+            expectedOutput: ""
+        }, problem.getLimits(language));
+    }
+    return await codeExecutor.executeCode(programFor(problem, language, code), language, input || "", problem.getLimits(language));
+}
+
+/**
+ * Check a problem's test cases before it is saved.
+ *
+ * The payload is the problem as it would be saved. Every test input must pass
+ * the input validator. Then test cases without an expected output get the
+ * first reference solution's output, and every reference solution must pass
+ * every test. Resolves to
+ * { valid, testCases, inputErrors: [{ test, message }],
+ *   failures: [{ solution, language, test, verdict, message }] }
+ * with solutions and tests numbered from 1.
+ */
+export async function validateProblemTests({ problem: problemData }) {
+    // Unsaved: only used for its limits and judging settings
+    const problem = new Problem(problemData);
+    const solutions = problemData.referenceSolutions || [];
+    let testCases = problemData.testCases.map(tc => ({ ...tc }));
+    const failures = [];
+
+    if (problemData.inputValidator) {
+        const inputs = testCases.map(tc => executableTestCase(tc).input);
+        const rejections = await validateInputs(problemData.inputValidator, inputs, codeExecutor);
+        if (rejections.length > 0) {
+            const inputErrors = rejections.map(({ index, message }) => ({ test: index + 1, message }));
+            return { valid: false, testCases, inputErrors, failures };
+        }
+    }
+
+    const runSolution = (solution, tests, { checker = problem.checker } = {}) => codeExecutor.runTestCases(
+        programFor(problem, solution.language, solution.code),
+        solution.language,
+        tests.map(executableTestCase),
+        problem.getLimits(solution.language),
+        { checker, interactor: interactorFor(problem), stopPolicy: STOP_POLICIES.RUN_ALL }
+    );
+    const addFailure = (solutionIndex, test, verdict, message) => failures.push({
+        solution: solutionIndex + 1,
+        language: solutions[solutionIndex].language,
+        test,
+        verdict,
+        message
+    });
+
+    const missing = testCases.filter(tc => !tc.expectedOutput && !isTestDataRef(tc.outputFile));
+    if (missing.length > 0 && solutions.length > 0) {
+        // Only the output matters here, not how it compares to the empty expected output
+        const generated = await runSolution(
+            solutions[0],
+            missing.map(tc => ({ ...tc, expectedOutput: "" })),
+            { checker: null }
+        );
+        if (generated.summary.compilationError) {
+            addFailure(0, null, VERDICTS.COMPILATION_ERROR, generated.summary.compilationError);
+        }
+
+        // Any outcome but a wrong answer means the solution did not run cleanly
+        generated.results.forEach((result, index) => {
+            if (result.verdict === VERDICTS.ACCEPTED || result.verdict === VERDICTS.WRONG_ANSWER) {
+                missing[index].expectedOutput = result.actualOutput;
+            } else {
+                addFailure(0, testCases.indexOf(missing[index]) + 1, result.verdict, result.error || result.message);
+            }
+        });
+        // Generated outputs can be large; keep them out of the job result
+        testCases = await externalizeTestCases(testCases);
+
+        if (failures.length > 0) {
+            return { valid: false, testCases, inputErrors: [], failures };
+        }
+    }
+
+    for (const [solutionIndex, solution] of solutions.entries()) {
+        const outcome = await runSolution(solution, testCases);
+
+        if (outcome.summary.compilationError) {
+            addFailure(solutionIndex, null, VERDICTS.COMPILATION_ERROR, outcome.summary.compilationError);
+            continue;
+        }
+
+        outcome.results.forEach((result, index) => {
+            if (!result.passed) {
+                addFailure(solutionIndex, index + 1, result.verdict, result.message || result.error);
+            }
+        });
+    }
+
+    return { valid: failures.length === 0, testCases, inputErrors: [], failures };
+}
+
+/**
+ * Search for a small input on which the candidate's code disagrees with one
+ * of the problem's reference solutions (see stressTest.js)
+ */
+export async function runStressTest({ problemId, code, language, generator, solutionIndex = 0, timeBudgetMs, maxSize }) {
+    const problem = await loadActiveProblem(problemId);
+    const reference = problem.referenceSolutions[solutionIndex];
+    if (!reference) {
+        throw new Error("The problem has no such reference solution");
+    }
+
+    return await stressTest(codeExecutor, {
+        sources: {
+            generator,
+            reference: { code: programFor(problem, reference.language, reference.code), language: reference.language },
+            candidate: { code: programFor(problem, language, code), language }
+        },
+        limits: {
+            reference: problem.getLimits(reference.language),
+            candidate: problem.getLimits(language)
+        },
+        checker: problem.checker,
+        timeBudgetMs,
+        maxSize
+    });
+}
+
+/**
+ * Estimate an accepted submission's time complexity with its problem's
+ * scaling generator (see complexity.js) and store it on the submission
+ */
+export async function analyzeSubmissionComplexity({ submissionId }) {
+    const submission = await Submission.findById(submissionId);
+    if (!submission) {
+        throw new Error("Submission not found");
+    }
+
+    try {
+        const problem = await Problem.findById(submission.problem);
+        if (!problem?.scalingGenerator) {
+            throw new Error("The problem has no scaling generator");
+        }
+
+        const { language, code, sizes } = problem.scalingGenerator;
+        const analysis = await estimateComplexity(codeExecutor, {
+            sources: {
+                generator: { code, language },
+                solution: { code: programFor(problem, submission.language, submission.code), language: submission.language }
+            },
+            sizes,
+            limits: problem.getLimits(submission.language)
+        });
+
+        submission.complexity = { status: "completed", ...analysis, analyzedAt: new Date() };
+        await submission.save();
+
+        return {
+            submissionId,
+            estimate: analysis.estimate,
+            confidence: analysis.confidence
+        };
+    } catch (error) {
+        await Submission.updateOne({ _id: submission._id }, {
+            complexity: { status: "failed", error: error.message, analyzedAt: new Date() }
+        });
+        throw error;
+    }
+}
+
+/**
+ * Recount a problem's submission counters from the stored submissions.
+ * Resolves to the new { totalSubmissions, totalAccepted, acceptanceRate }.
+ */
+async function recomputeProblemStats(problemId) {
+    const [totalSubmissions, totalAccepted] = await Promise.all([
+        Submission.countDocuments({ problem: problemId }),
+        Submission.countDocuments({ problem: problemId, accepted: true })
+    ]);
+    const stats = {
+        totalSubmissions,
+        totalAccepted,
+        acceptanceRate: totalSubmissions > 0 ? Math.round((totalAccepted / totalSubmissions) * 100) : 0
+    };
+
+    await Problem.updateOne({ _id: problemId }, stats);
+    return stats;
+}
+
+/**
+ * Judge a problem's stored submissions again (all, or those made in the
+ * rejudge's date range), one at a time, with the problem's current tests and
+ * checker. Verdict flips are recorded in the Rejudge log, and the problem's
+ * counters are recounted afterwards.
+ */
+export async function rejudgeSubmissions({ rejudgeId }, { reportProgress } = {}) {
+    const rejudge = await Rejudge.findById(rejudgeId);
+    if (!rejudge) {
+        throw new Error("Rejudge not found");
+    }
+
+    try {
+        // Inactive problems can be rejudged too: their submissions still count
+        const problem = await Problem.findById(rejudge.problem);
+        if (!problem) {
+            throw new Error("Problem not found");
+        }
+
+        const filter = { problem: problem._id };
+        if (rejudge.from || rejudge.to) {
+            filter.createdAt = {};
+            if (rejudge.from) filter.createdAt.$gte = rejudge.from;
+            if (rejudge.to) filter.createdAt.$lte = rejudge.to;
+        }
+        const submissionIds = (await Submission.find(filter).sort({ createdAt: 1 }).select("_id").lean())
+            .map(submission => submission._id);
+
+        // A retried job starts over
+        Object.assign(rejudge, {
+            status: "running",
+            total: submissionIds.length,
+            processed: 0,
+            changes: [],
+            statsBefore: {
+                totalSubmissions: problem.totalSubmissions,
+                totalAccepted: problem.totalAccepted,
+                acceptanceRate: problem.acceptanceRate
+            },
+            error: "",
+            startedAt: new Date()
+        });
+        await rejudge.save();
+
+        for (const submissionId of submissionIds) {
+            await reportProgress?.({ stage: "rejudging", current: rejudge.processed + 1, total: rejudge.total });
+
+            const submission = await Submission.findById(submissionId);
+            if (submission) {
+                const oldVerdict = submission.verdict;
+                const testResults = await judgeAllTests(problem, submission.language, submission.code);
+
+                Object.assign(submission, judgedFields(testResults), { rejudgedAt: new Date() });
+                await submission.save();
+
+                if (submission.verdict !== oldVerdict) {
+                    rejudge.changes.push({
+                        submission: submission._id,
+                        user: submission.user,
+                        oldVerdict,
+                        newVerdict: submission.verdict
+                    });
+                }
+            }
+
+            rejudge.processed++;
+            await rejudge.save();
+        }
+
+        rejudge.statsAfter = await recomputeProblemStats(problem._id);
+        rejudge.status = "completed";
+        rejudge.finishedAt = new Date();
+        await rejudge.save();
+    } catch (error) {
+        await Rejudge.updateOne({ _id: rejudge._id }, { status: "failed", error: error.message, finishedAt: new Date() });
+        throw error;
+    }
+
+    return {
+        rejudgeId: rejudge._id.toString(),
+        total: rejudge.total,
+        changed: rejudge.changes.length,
+        stats: rejudge.statsAfter
+    };
+}
+
+// Bounds on a plagiarism report: submissions compared and similar pairs kept
+const MAX_PLAGIARISM_SUBMISSIONS = 2000;
+const MAX_PLAGIARISM_PAIRS = 500;
+
+/**
+ * Compare each user's latest submission to a problem (per language) with
+ * everyone else's and store the similar pairs in the plagiarism report
+ * (see plagiarism.js)
+ */
+export async function detectPlagiarism({ reportId }, { reportProgress } = {}) {
+    const report = await PlagiarismReport.findById(reportId);
+    if (!report) {
+        throw new Error("Plagiarism report not found");
+    }
+
+    try {
+        const problem = await Problem.findById(report.problem);
+        if (!problem) {
+            throw new Error("Problem not found");
+        }
+
+        // A retried job starts over
+        Object.assign(report, {
+            status: "running",
+            pairs: [],
+            truncated: false,
+            submissionsLimited: false,
+            error: "",
+            startedAt: new Date()
+        });
+        await report.save();
+        await reportProgress?.({ stage: "loading" });
+
+        const filter = { problem: problem._id };
+        if (report.acceptedOnly) filter.accepted = true;
+        // Past the limit, the most recently submitted are compared; one more
+        // than the limit is loaded to tell whether any were left out
+        const grouped = await Submission.aggregate([
+            { $match: filter },
+            { $sort: { createdAt: -1 } },
+            {
+                $group: {
+                    _id: { user: "$user", language: "$language" },
+                    submission: { $first: "$_id" },
+                    code: { $first: "$code" },
+                    createdAt: { $first: "$createdAt" }
+                }
+            },
+            { $sort: { createdAt: -1, submission: -1 } },
+            { $limit: MAX_PLAGIARISM_SUBMISSIONS + 1 }
+        ]);
+        const latest = grouped.slice(0, MAX_PLAGIARISM_SUBMISSIONS);
+
+        await reportProgress?.({ stage: "comparing", total: latest.length });
+        const users = new Map(latest.map(entry => [entry.submission.toString(), entry._id.user]));
+        const pairs = findSimilarPairs(
+            latest.map(entry => ({
+                id: entry.submission.toString(),
+                user: entry._id.user.toString(),
+                language: entry._id.language,
+                code: entry.code
+            })),
+            {
+                starterCode: Object.fromEntries(problem.starterCode.map(sc => [sc.language, sc.code])),
+                threshold: report.threshold
+            }
+        );
+
+        Object.assign(report, {
+            status: "completed",
+            submissionsCompared: latest.length,
+            submissionsLimited: grouped.length > latest.length,
+            pairs: pairs.slice(0, MAX_PLAGIARISM_PAIRS).map(pair => ({
+                submissionA: pair.a,
+                submissionB: pair.b,
+                userA: users.get(pair.a),
+                userB: users.get(pair.b),
+                language: pair.language,
+                similarity: pair.similarity,
+                similarityA: pair.similarityA,
+                similarityB: pair.similarityB,
+                matches: pair.matches
+            })),
+            truncated: pairs.length > MAX_PLAGIARISM_PAIRS,
+            finishedAt: new Date()
+        });
+        await report.save();
+    } catch (error) {
+        await PlagiarismReport.updateOne({ _id: report._id }, { status: "failed", error: error.message, finishedAt: new Date() });
+        throw error;
+    }
+
+    return {
+        reportId: report._id.toString(),
+        submissionsCompared: report.submissionsCompared,
+        submissionsLimited: report.submissionsLimited,
+        pairs: report.pairs.length
+    };
+}
+
+export const jobHandlers = {
+    submit: judgeSubmission,
+    run: runVisibleTests,
+    execute: runCustomInput,
+    validate: validateProblemTests,
+    stress: runStressTest,
+    rejudge: rejudgeSubmissions,
+    complexity: analyzeSubmissionComplexity,
+    plagiarism: detectPlagiarism,
+};
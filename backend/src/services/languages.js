@@ -0,0 +1,251 @@
+import { exec } from "child_process";
+import { promisify } from "util";
+
+import { shellQuote } from "./sandbox.js";
+
+const execPromise = promisify(exec);
+
+/**
+ * Language registry: everything the executors need to know about a language.
+ *
+ * Each entry describes the source file name, an optional source rewrite
+ * (prepareSource(code, { interactive })), an optional compile step, the
+ * run command, how much address space the runtime needs on top of the memory
+ * limit, a version probe, default limit multipliers and the language's id on
+ * a Judge0-compatible remote judge (Judge0 CE numbering, see remoteExecutor.js).
+ * Commands reference files relative to the job directory (see sandbox.wrapCommand).
+ */
+
+// V8 and the Go runtime reserve far more virtual memory than they use, so
+// they get extra address space (Node also a heap cap); the JVM is capped with -Xmx
+const NODE_ADDRESS_SPACE_OVERHEAD = 1024 * 1024 * 1024; // 1GB
+const GO_ADDRESS_SPACE_OVERHEAD = 1024 * 1024 * 1024; // 1GB
+
+const VERSION_PROBE_TIMEOUT = 10000;
+
+// Pre-warmed, read-only Go build cache; without one every build recompiles the standard library
+const GO_BUILD_CACHE = process.env.GO_BUILD_CACHE || "";
+
+// JavaScript/TypeScript solutions run once stdin is fully read, with its lines in `inputLines`.
+// Interactive programs read stdin as it arrives, so their code runs as written.
+function wrapWithStdinReader(code, { typed = false, interactive = false } = {}) {
+    const declarations = typed
+        ? "declare function require(name: string): any;\ndeclare const process: any;\n"
+        : "";
+
+    if (interactive) {
+        return `${declarations}${code}`;
+    }
+
+    return `${declarations}
+const readline = require('readline');
+const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: false
+});
+
+let inputLines${typed ? ": string[]" : ""} = [];
+rl.on('line', (line${typed ? ": string" : ""}) => {
+    inputLines.push(line);
+});
+
+rl.on('close', () => {
+    try {
+        ${code}
+    } catch (error${typed ? ": any" : ""}) {
+        console.error(error.message);
+        process.exit(1);
+    }
+});
+`;
+}
+
+function javaClassName(code) {
+    const match = code.match(/public\s+class\s+(\w+)/);
+    return match ? match[1] : "Solution";
+}
+
+const LANGUAGE_LIST = [
+    {
+        id: "javascript",
+        name: "JavaScript",
+        fileName: () => "solution.js",
+        prepareSource: (code, options) => wrapWithStdinReader(code, options),
+        compile: null,
+        run: ({ heapMb }) => `node --max-old-space-size=${heapMb} solution.js`,
+        addressSpace: memoryBytes => memoryBytes + NODE_ADDRESS_SPACE_OVERHEAD,
+        versionCommand: "node --version",
+        limits: { timeMultiplier: 1, memoryMultiplier: 1 },
+        remoteId: 63,
+    },
+    {
+        id: "typescript",
+        name: "TypeScript",
+        fileName: () => "solution.ts",
+        prepareSource: (code, options) => wrapWithStdinReader(code, { ...options, typed: true }),
+        // --typeRoots keeps tsc from picking up @types packages above the job directory
+        compile: {
+            command: () => "tsc --target es2020 --module commonjs --skipLibCheck --typeRoots . solution.ts",
+            timeLimitMs: 15000,
+        },
+        run: ({ heapMb }) => `node --max-old-space-size=${heapMb} solution.js`,
+        addressSpace: memoryBytes => memoryBytes + NODE_ADDRESS_SPACE_OVERHEAD,
+        versionCommand: "tsc --version",
+        limits: { timeMultiplier: 1, memoryMultiplier: 1 },
+        remoteId: 74,
+    },
+    {
+        id: "python",
+        name: "Python 3",
+        fileName: () => "solution.py",
+        prepareSource: null,
+        compile: null,
+        run: () => "python3 solution.py",
+        addressSpace: memoryBytes => memoryBytes,
+        versionCommand: "python3 --version",
+        limits: { timeMultiplier: 2, memoryMultiplier: 1 },
+        remoteId: 71,
+    },
+    {
+        id: "java",
+        name: "Java",
+        fileName: code => `${javaClassName(code)}.java`,
+        prepareSource: null,
+        compile: {
+            command: ({ fileName }) => `javac ${fileName}`,
+            timeLimitMs: 10000,
+        },
+        run: ({ fileName, heapMb }) => `java -Xmx${heapMb}m ${fileName.replace(/\.java$/, "")}`,
+        addressSpace: () => null,
+        versionCommand: "javac -version",
+        limits: { timeMultiplier: 2, memoryMultiplier: 1 },
+        remoteId: 62,
+    },
+    {
+        id: "c",
+        name: "C",
+        fileName: () => "solution.c",
+        prepareSource: null,
+        compile: {
+            command: () => "gcc -O2 -std=c17 -o solution solution.c -lm",
+            timeLimitMs: 10000,
+        },
+        run: () => "./solution",
+        addressSpace: memoryBytes => memoryBytes,
+        versionCommand: "gcc --version",
+        limits: { timeMultiplier: 1, memoryMultiplier: 1 },
+        remoteId: 50,
+    },
+    {
+        id: "cpp",
+        name: "C++",
+        fileName: () => "solution.cpp",
+        prepareSource: null,
+        compile: {
+            command: () => "g++ -O2 -std=c++17 -o solution solution.cpp",
+            timeLimitMs: 15000,
+        },
+        run: () => "./solution",
+        addressSpace: memoryBytes => memoryBytes,
+        versionCommand: "g++ --version",
+        limits: { timeMultiplier: 1, memoryMultiplier: 1 },
+        remoteId: 54,
+    },
+    {
+        id: "go",
+        name: "Go",
+        fileName: () => "solution.go",
+        prepareSource: null,
+        compile: {
+            command: () => GO_BUILD_CACHE
+                ? `env GOCACHE=${shellQuote(GO_BUILD_CACHE)} go build -o solution solution.go`
+                : "go build -o solution solution.go",
+            timeLimitMs: 30000,
+        },
+        run: () => "./solution",
+        addressSpace: memoryBytes => memoryBytes + GO_ADDRESS_SPACE_OVERHEAD,
+        versionCommand: "go version",
+        limits: { timeMultiplier: 1, memoryMultiplier: 1 },
+        remoteId: 60,
+    },
+    {
+        id: "rust",
+        name: "Rust",
+        fileName: () => "solution.rs",
+        prepareSource: null,
+        compile: {
+            command: () => "rustc -O --edition 2018 -o solution solution.rs",
+            timeLimitMs: 30000,
+        },
+        run: () => "./solution",
+        addressSpace: memoryBytes => memoryBytes,
+        versionCommand: "rustc --version",
+        limits: { timeMultiplier: 1, memoryMultiplier: 1 },
+        remoteId: 73,
+    },
+];
+
+export const LANGUAGES = Object.fromEntries(LANGUAGE_LIST.map(language => [language.id, language]));
+
+export const LANGUAGE_IDS = LANGUAGE_LIST.map(language => language.id);
+
+export function getLanguage(id) {
+    return LANGUAGES[id] || null;
+}
+
+export function isSupportedLanguage(id) {
+    return Object.hasOwn(LANGUAGES, id);
+}
+
+/**
+ * Judge0 language id of each language (see remoteExecutor.js). Ids can differ
+ * between judge versions: REMOTE_JUDGE_LANGUAGES overrides the registry's,
+ * e.g. "python:92,java:91"
+ */
+export function remoteLanguageIds() {
+    const ids = Object.fromEntries(LANGUAGE_LIST.map(language => [language.id, language.remoteId]));
+
+    for (const entry of (process.env.REMOTE_JUDGE_LANGUAGES || "").split(",")) {
+        const [id, remoteId] = entry.split(":").map(part => part.trim());
+        if (id && parseInt(remoteId)) {
+            ids[id] = parseInt(remoteId);
+        }
+    }
+
+    return ids;
+}
+
+let installedLanguages = null; // { promise, probedAt }
+
+async function probeInstalledLanguages() {
+    const installed = [];
+
+    // One probe at a time: some toolchains are slow to start
+    for (const language of LANGUAGE_LIST) {
+        try {
+            const { stdout, stderr } = await execPromise(language.versionCommand, {
+                timeout: VERSION_PROBE_TIMEOUT
+            });
+            const version = (stdout || stderr).trim().split("\n")[0];
+            installed.push({ id: language.id, name: language.name, version });
+        } catch {
+            // Not installed (or not on PATH)
+        }
+    }
+
+    return installed;
+}
+
+/**
+ * Probe which languages have their toolchain installed.
+ * Resolves to [{ id, name, version }]. A probe is reused for `maxAge` ms
+ * (by default for the life of the process), then run again.
+ */
+export function detectInstalledLanguages({ maxAge = Infinity } = {}) {
+    if (!installedLanguages || Date.now() - installedLanguages.probedAt > maxAge) {
+        installedLanguages = { promise: probeInstalledLanguages(), probedAt: Date.now() };
+    }
+
+    return installedLanguages.promise;
+}
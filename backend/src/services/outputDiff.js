@@ -0,0 +1,289 @@
+/**
+ * Structured diff of a program's output against the expected output, for
+ * showing why a test failed:
+ *   { kind, truncated, firstMismatch, hunks, omitted }
+ *
+ * kind says whether the outputs differ in content, only in trailing
+ * whitespace, or only in line endings and final newlines (see DIFF_KINDS).
+ * truncated flags output cut off at the output limit. firstMismatch is the
+ * first differing position { line, column } (from 1) with both sides' lines.
+ * hunks is a line diff with a little context:
+ *   [{ expectedStart, actualStart, lines: [{ type, text, tokens? }] }]
+ * with line types "context", "removed" (expected only) and "added" (actual
+ * only). A removed line followed by an added one is a changed line; both then
+ * carry `tokens`, their text split into "equal" and "removed"/"added" runs.
+ * Long lines are clipped around the change (`offset` is where the shown text
+ * starts), and omitted is set when there were more differences than shown.
+ */
+
+export const DIFF_KINDS = {
+    CONTENT: "content",
+    WHITESPACE: "whitespace",
+    NEWLINE: "newline",
+};
+
+// Bounds keeping the diff small next to the outputs themselves
+const CONTEXT_LINES = 2;
+const MAX_HUNKS = 5;
+const MAX_HUNK_LINES = 40;
+const MAX_LINE_LENGTH = 200;
+// Characters kept before a change when clipping a long line
+const CLIP_LEAD = 40;
+// Changed regions larger than this (lines x lines) are compared position by position instead of aligned
+const MAX_ALIGNMENT_CELLS = 250000;
+
+function splitLines(text) {
+    return text.split(/\r?\n/);
+}
+
+function withoutFinalNewlines(text) {
+    return text.replace(/\r\n/g, "\n").replace(/\n+$/, "");
+}
+
+function withoutTrailingWhitespace(text) {
+    return withoutFinalNewlines(text).split("\n").map(line => line.trimEnd()).join("\n").replace(/\n+$/, "");
+}
+
+function classify(expected, actual) {
+    if (withoutFinalNewlines(expected) === withoutFinalNewlines(actual)) return DIFF_KINDS.NEWLINE;
+    if (withoutTrailingWhitespace(expected) === withoutTrailingWhitespace(actual)) return DIFF_KINDS.WHITESPACE;
+    return DIFF_KINDS.CONTENT;
+}
+
+function firstDifference(a, b) {
+    const length = Math.min(a.length, b.length);
+    let i = 0;
+    while (i < length && a[i] === b[i]) i++;
+    return i;
+}
+
+// Clip a line to MAX_LINE_LENGTH, keeping the text from a little before `from`
+function clip(text, from = 0) {
+    if (text.length <= MAX_LINE_LENGTH) return { text };
+
+    const offset = Math.max(0, Math.min(from - CLIP_LEAD, text.length - MAX_LINE_LENGTH));
+    return { text: text.slice(offset, offset + MAX_LINE_LENGTH), offset, clipped: true };
+}
+
+/**
+ * Longest-common-subsequence alignment of two lists.
+ * Returns operations [{ type: "equal" | "removed" | "added", a?, b? }]
+ * holding indexes into the lists.
+ */
+function align(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const table = new Uint32Array(rows * cols);
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            table[i * cols + j] = a[i] === b[j]
+                ? table[(i + 1) * cols + j + 1] + 1
+                : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+        }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            operations.push({ type: "equal", a: i++, b: j++ });
+        } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+            operations.push({ type: "removed", a: i++ });
+        } else {
+            operations.push({ type: "added", b: j++ });
+        }
+    }
+    while (i < a.length) operations.push({ type: "removed", a: i++ });
+    while (j < b.length) operations.push({ type: "added", b: j++ });
+
+    return operations;
+}
+
+// Line alignment: common ends are matched directly, the middle aligned when small enough
+function alignLines(expectedLines, actualLines) {
+    let prefix = 0;
+    while (prefix < expectedLines.length && prefix < actualLines.length && expectedLines[prefix] === actualLines[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < expectedLines.length - prefix && suffix < actualLines.length - prefix &&
+        expectedLines[expectedLines.length - 1 - suffix] === actualLines[actualLines.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const expectedMiddle = expectedLines.slice(prefix, expectedLines.length - suffix);
+    const actualMiddle = actualLines.slice(prefix, actualLines.length - suffix);
+
+    let middle;
+    if (expectedMiddle.length * actualMiddle.length <= MAX_ALIGNMENT_CELLS) {
+        middle = align(expectedMiddle, actualMiddle);
+    } else {
+        // Too large to align: compare line by line at the same positions
+        middle = [];
+        const paired = Math.min(expectedMiddle.length, actualMiddle.length);
+        for (let i = 0; i < paired; i++) {
+            if (expectedMiddle[i] === actualMiddle[i]) {
+                middle.push({ type: "equal", a: i, b: i });
+            } else {
+                middle.push({ type: "removed", a: i }, { type: "added", b: i });
+            }
+        }
+        for (let i = paired; i < expectedMiddle.length; i++) middle.push({ type: "removed", a: i });
+        for (let i = paired; i < actualMiddle.length; i++) middle.push({ type: "added", b: i });
+    }
+
+    const operations = [];
+    for (let i = 0; i < prefix; i++) operations.push({ type: "equal", a: i, b: i });
+    for (const operation of middle) {
+        operations.push({
+            type: operation.type,
+            a: operation.a === undefined ? undefined : operation.a + prefix,
+            b: operation.b === undefined ? undefined : operation.b + prefix
+        });
+    }
+    for (let i = suffix; i > 0; i--) {
+        operations.push({ type: "equal", a: expectedLines.length - i, b: actualLines.length - i });
+    }
+
+    return operations;
+}
+
+// Token runs of a changed line pair; whitespace counts as tokens so trailing spaces show up
+function tokenChanges(expectedText, actualText) {
+    const expectedTokens = expectedText.split(/(\s+)/).filter(Boolean);
+    const actualTokens = actualText.split(/(\s+)/).filter(Boolean);
+
+    const removed = [];
+    const added = [];
+    const push = (runs, type, text) => {
+        const last = runs[runs.length - 1];
+        if (last && last.type === type) last.text += text;
+        else runs.push({ type, text });
+    };
+
+    for (const operation of align(expectedTokens, actualTokens)) {
+        if (operation.type === "equal") {
+            push(removed, "equal", expectedTokens[operation.a]);
+            push(added, "equal", actualTokens[operation.b]);
+        } else if (operation.type === "removed") {
+            push(removed, "removed", expectedTokens[operation.a]);
+        } else {
+            push(added, "added", actualTokens[operation.b]);
+        }
+    }
+
+    return { removed, added };
+}
+
+// Group the differing operations into hunks with CONTEXT_LINES of context around them
+function groupHunks(operations) {
+    const hunks = [];
+    let current = null;
+
+    operations.forEach((operation, index) => {
+        if (operation.type === "equal") return;
+
+        const start = Math.max(0, index - CONTEXT_LINES);
+        if (current && start <= current.end + 1) {
+            current.end = Math.min(operations.length - 1, index + CONTEXT_LINES);
+        } else {
+            current = { start, end: Math.min(operations.length - 1, index + CONTEXT_LINES) };
+            hunks.push(current);
+        }
+    });
+
+    return hunks;
+}
+
+// The lines of one hunk, pairing removed and added runs into changed lines
+function hunkLines(operations, expectedLines, actualLines) {
+    const lines = [];
+
+    for (let i = 0; i < operations.length;) {
+        const operation = operations[i];
+        if (operation.type === "equal") {
+            lines.push({ type: "context", ...clip(actualLines[operation.b]) });
+            i++;
+            continue;
+        }
+
+        const removed = [];
+        const added = [];
+        while (i < operations.length && operations[i].type === "removed") removed.push(operations[i++].a);
+        while (i < operations.length && operations[i].type === "added") added.push(operations[i++].b);
+
+        removed.forEach((expectedIndex, k) => {
+            const expectedText = expectedLines[expectedIndex];
+            if (k >= added.length) {
+                lines.push({ type: "removed", ...clip(expectedText) });
+                return;
+            }
+
+            const actualText = actualLines[added[k]];
+            const from = firstDifference(expectedText, actualText);
+            const expectedClip = clip(expectedText, from);
+            const actualClip = clip(actualText, from);
+            const tokens = tokenChanges(expectedClip.text, actualClip.text);
+            lines.push({ type: "removed", ...expectedClip, tokens: tokens.removed });
+            lines.push({ type: "added", ...actualClip, tokens: tokens.added });
+        });
+        added.slice(removed.length).forEach(actualIndex => {
+            lines.push({ type: "added", ...clip(actualLines[actualIndex]) });
+        });
+    }
+
+    return lines;
+}
+
+// Where the outputs first differ, with both sides' lines at that point
+function findFirstMismatch(expected, actual) {
+    const index = firstDifference(expected, actual);
+    const before = expected.slice(0, index);
+    const line = before.split("\n").length;
+    const column = index - before.lastIndexOf("\n");
+
+    const lineAt = text => {
+        const lines = splitLines(text);
+        return line <= lines.length ? clip(lines[line - 1], column - 1).text : null;
+    };
+
+    return { line, column, expected: lineAt(expected), actual: lineAt(actual) };
+}
+
+/**
+ * Diff a program's output against the expected output; null when they are equal.
+ * `truncated` marks output that was cut off at the output limit.
+ */
+export function diffOutputs(expected, actual, { truncated = false } = {}) {
+    if (expected === actual) return null;
+
+    const expectedLines = splitLines(expected);
+    const actualLines = splitLines(actual);
+    const operations = alignLines(expectedLines, actualLines);
+    const groups = groupHunks(operations);
+
+    let omitted = groups.length > MAX_HUNKS;
+    const hunks = groups.slice(0, MAX_HUNKS).map(({ start, end }) => {
+        const shown = operations.slice(start, Math.min(end + 1, start + MAX_HUNK_LINES));
+        if (start + MAX_HUNK_LINES <= end) omitted = true;
+
+        // Line numbers (from 1) where the hunk starts on each side
+        const nextExpected = operations.slice(start).find(operation => operation.a !== undefined);
+        const nextActual = operations.slice(start).find(operation => operation.b !== undefined);
+        return {
+            expectedStart: nextExpected ? nextExpected.a + 1 : expectedLines.length + 1,
+            actualStart: nextActual ? nextActual.b + 1 : actualLines.length + 1,
+            lines: hunkLines(shown, expectedLines, actualLines)
+        };
+    });
+
+    return {
+        kind: classify(expected, actual),
+        truncated,
+        firstMismatch: findFirstMismatch(expected, actual),
+        hunks,
+        omitted
+    };
+}
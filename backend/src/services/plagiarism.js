@@ -0,0 +1,381 @@
+/**
+ * Plagiarism detection by winnowing (Schleimer, Wilkerson and Aiken, as used
+ * by MOSS) over normalized token streams.
+ *
+ * Code is tokenized per language with comments and whitespace dropped,
+ * identifiers replaced by a placeholder and literals by their kind, so
+ * renaming variables or reformatting does not hide a copy. Every run of
+ * K_GRAM tokens is hashed and each window of WINDOW hashes keeps its smallest,
+ * which guarantees that any shared run of K_GRAM + WINDOW - 1 tokens shows up
+ * as a shared fingerprint. Fingerprints of the starter code are ignored, since
+ * every submission shares those, and so are fingerprints most submissions in
+ * the language share (boilerplate the starter code does not hold).
+ */
+
+const K_GRAM = 8;
+const WINDOW = 4;
+// Submissions with fewer fingerprints are too short to judge
+const MIN_FINGERPRINTS = 5;
+// A fingerprint found in more than this share of a language's submissions (and
+// in more than MIN_COMMON_HOLDERS of them) is a common idiom, not a copy
+const COMMON_HASH_SHARE = 0.5;
+const MIN_COMMON_HOLDERS = 10;
+const MAX_MATCHES_PER_PAIR = 20;
+
+const C_LIKE_COMMENTS = /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y;
+const HASH_COMMENTS = /#[^\n]*/y;
+const DOUBLE_QUOTED = /"(?:\\.|[^"\\\n])*"?/y;
+const SINGLE_QUOTED = /'(?:\\.|[^'\\\n])*'?/y;
+// Languages where single quotes hold one character (a Rust lifetime like 'a is left alone)
+const CHAR_LITERAL = /'(?:\\.[^'\n]{0,8}|[^'\\\n])'/y;
+const BACKTICK_QUOTED = /`[^`]*`?/y;
+const TRIPLE_QUOTED = /"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)/y;
+const C_PREPROCESSOR = /#[^\n]*/y;
+
+const JS_KEYWORDS = [
+    "break", "case", "catch", "class", "const", "continue", "default", "delete", "do", "else",
+    "export", "extends", "false", "finally", "for", "function", "if", "import", "in", "instanceof",
+    "let", "new", "null", "of", "return", "static", "super", "switch", "this", "throw", "true",
+    "try", "typeof", "undefined", "var", "void", "while", "yield", "async", "await"
+];
+
+/**
+ * Lexical rules per language: how comments, strings and character literals
+ * look, and which words are kept as themselves rather than normalized
+ */
+const SYNTAX = {
+    javascript: {
+        skip: [C_LIKE_COMMENTS],
+        strings: [DOUBLE_QUOTED, SINGLE_QUOTED, BACKTICK_QUOTED],
+        keywords: JS_KEYWORDS,
+    },
+    typescript: {
+        skip: [C_LIKE_COMMENTS],
+        strings: [DOUBLE_QUOTED, SINGLE_QUOTED, BACKTICK_QUOTED],
+        keywords: [...JS_KEYWORDS, "interface", "type", "enum", "implements", "private", "public",
+            "protected", "readonly", "as", "number", "string", "boolean", "any", "unknown", "never"],
+    },
+    python: {
+        skip: [HASH_COMMENTS],
+        strings: [TRIPLE_QUOTED, DOUBLE_QUOTED, SINGLE_QUOTED],
+        keywords: [
+            "and", "as", "assert", "break", "class", "continue", "def", "del", "elif", "else", "except",
+            "False", "finally", "for", "from", "global", "if", "import", "in", "is", "lambda", "None",
+            "nonlocal", "not", "or", "pass", "raise", "return", "True", "try", "while", "with", "yield"
+        ],
+    },
+    java: {
+        skip: [C_LIKE_COMMENTS],
+        strings: [DOUBLE_QUOTED, CHAR_LITERAL],
+        keywords: [
+            "abstract", "boolean", "break", "byte", "case", "catch", "char", "class", "continue",
+            "default", "do", "double", "else", "extends", "false", "final", "finally", "float", "for",
+            "if", "implements", "import", "instanceof", "int", "interface", "long", "new", "null",
+            "private", "protected", "public", "return", "short", "static", "super", "switch", "this",
+            "throw", "throws", "true", "try", "void", "while", "var"
+        ],
+    },
+    c: {
+        skip: [C_LIKE_COMMENTS, C_PREPROCESSOR],
+        strings: [DOUBLE_QUOTED, CHAR_LITERAL],
+        keywords: [
+            "break", "case", "char", "const", "continue", "default", "do", "double", "else", "enum",
+            "float", "for", "if", "int", "long", "return", "short", "signed", "sizeof", "static",
+            "struct", "switch", "typedef", "union", "unsigned", "void", "while"
+        ],
+    },
+    cpp: {
+        skip: [C_LIKE_COMMENTS, C_PREPROCESSOR],
+        strings: [DOUBLE_QUOTED, CHAR_LITERAL],
+        keywords: [
+            "auto", "bool", "break", "case", "catch", "char", "class", "const", "continue", "default",
+            "delete", "do", "double", "else", "enum", "false", "float", "for", "if", "int", "long",
+            "namespace", "new", "nullptr", "private", "public", "return", "short", "sizeof", "static",
+            "struct", "switch", "template", "this", "throw", "true", "try", "typename", "unsigned",
+            "using", "void", "while"
+        ],
+    },
+    go: {
+        skip: [C_LIKE_COMMENTS],
+        strings: [DOUBLE_QUOTED, CHAR_LITERAL, BACKTICK_QUOTED],
+        keywords: [
+            "break", "case", "chan", "const", "continue", "default", "defer", "else", "for", "func",
+            "go", "if", "import", "interface", "map", "package", "range", "return", "select", "struct",
+            "switch", "type", "var", "nil", "true", "false"
+        ],
+    },
+    rust: {
+        skip: [C_LIKE_COMMENTS],
+        strings: [DOUBLE_QUOTED, CHAR_LITERAL],
+        keywords: [
+            "as", "break", "const", "continue", "else", "enum", "false", "fn", "for", "if", "impl",
+            "in", "let", "loop", "match", "mod", "move", "mut", "pub", "ref", "return", "self", "Self",
+            "static", "struct", "trait", "true", "type", "use", "where", "while"
+        ],
+    },
+};
+
+const WHITESPACE = /\s+/y;
+const NUMBER = /\.?\d[\w.]*/y;
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+
+function matchAt(pattern, code, index) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(code);
+    return match && match[0].length > 0 ? match[0] : null;
+}
+
+/**
+ * Normalized tokens of the code: [{ text, line }] with identifiers as "V",
+ * numbers as "N" and string or character literals as "S"
+ */
+export function tokenize(code, language) {
+    const syntax = SYNTAX[language];
+    if (!syntax) {
+        throw new Error(`Unsupported language: ${language}`);
+    }
+    const keywords = new Set(syntax.keywords);
+
+    const tokens = [];
+    let line = 1;
+    let index = 0;
+
+    while (index < code.length) {
+        let text = matchAt(WHITESPACE, code, index);
+        let token = null;
+
+        if (!text) {
+            for (const pattern of syntax.skip) {
+                text = matchAt(pattern, code, index);
+                if (text) break;
+            }
+        }
+        if (!text) {
+            for (const pattern of syntax.strings) {
+                text = matchAt(pattern, code, index);
+                if (text) {
+                    token = "S";
+                    break;
+                }
+            }
+        }
+        if (!text) {
+            text = matchAt(NUMBER, code, index);
+            if (text) token = "N";
+        }
+        if (!text) {
+            text = matchAt(IDENTIFIER, code, index);
+            if (text) token = keywords.has(text) ? text : "V";
+        }
+        if (!text) {
+            text = code[index];
+            token = text;
+        }
+
+        if (token) tokens.push({ text: token, line });
+        for (const char of text) {
+            if (char === "\n") line++;
+        }
+        index += text.length;
+    }
+
+    return tokens;
+}
+
+// 32-bit FNV-1a hash of a k-gram of tokens
+function hashTokens(tokens, start) {
+    let hash = 0x811c9dc5;
+    for (let i = start; i < start + K_GRAM; i++) {
+        const text = tokens[i].text;
+        for (let j = 0; j < text.length; j++) {
+            hash ^= text.charCodeAt(j);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        // Token separator
+        hash ^= 0xff;
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Winnowed fingerprints of the code: { tokens, fingerprints: [{ hash, start }] }
+ * where start is the index of the k-gram's first token
+ */
+export function fingerprint(code, language) {
+    const tokens = tokenize(code, language);
+    const hashes = [];
+    for (let start = 0; start + K_GRAM <= tokens.length; start++) {
+        hashes.push(hashTokens(tokens, start));
+    }
+
+    const fingerprints = [];
+    let lastSelected = -1;
+    for (let windowStart = 0; windowStart + WINDOW <= Math.max(hashes.length, WINDOW); windowStart++) {
+        // Rightmost smallest hash of the window
+        let selected = -1;
+        for (let i = windowStart; i < Math.min(windowStart + WINDOW, hashes.length); i++) {
+            if (selected === -1 || hashes[i] <= hashes[selected]) selected = i;
+        }
+        if (selected !== -1 && selected !== lastSelected) {
+            fingerprints.push({ hash: hashes[selected], start: selected });
+            lastSelected = selected;
+        }
+    }
+
+    return { tokens, fingerprints };
+}
+
+/**
+ * Regions of code two fingerprinted submissions share: runs of shared
+ * fingerprints at the same relative offset, merged and turned into line
+ * ranges. Returns the largest first: [{ a: { startLine, endLine }, b: {...}, tokens }]
+ */
+function matchedRegions(a, b, sharedHashes) {
+    const positionsInB = new Map();
+    for (const { hash, start } of b.fingerprints) {
+        if (!sharedHashes.has(hash)) continue;
+        if (!positionsInB.has(hash)) positionsInB.set(hash, []);
+        positionsInB.get(hash).push(start);
+    }
+
+    const pairs = [];
+    for (const { hash, start } of a.fingerprints) {
+        for (const startInB of positionsInB.get(hash) || []) {
+            pairs.push({ a: start, b: startInB });
+        }
+    }
+    // Group by offset between the two, then by position
+    pairs.sort((x, y) => (x.b - x.a) - (y.b - y.a) || x.a - y.a);
+
+    const regions = [];
+    for (const pair of pairs) {
+        const last = regions[regions.length - 1];
+        // Consecutive fingerprints of one copied run are at most a window apart
+        if (last && last.b - last.a === pair.b - pair.a && pair.a <= last.aEnd + WINDOW) {
+            last.aEnd = Math.max(last.aEnd, pair.a + K_GRAM);
+        } else {
+            regions.push({ a: pair.a, b: pair.b, aEnd: pair.a + K_GRAM });
+        }
+    }
+
+    // Largest first, skipping regions overlapping a larger one on either side
+    // (repeated idioms also match at other offsets)
+    const kept = [];
+    const overlaps = (start, end, otherStart, otherEnd) => start < otherEnd && otherStart < end;
+    for (const region of regions.sort((x, y) => (y.aEnd - y.a) - (x.aEnd - x.a))) {
+        const length = region.aEnd - region.a;
+        const clashes = kept.some(other =>
+            overlaps(region.a, region.aEnd, other.a, other.aEnd) ||
+            overlaps(region.b, region.b + length, other.b, other.b + other.aEnd - other.a));
+        if (!clashes) kept.push(region);
+        if (kept.length === MAX_MATCHES_PER_PAIR) break;
+    }
+
+    return kept.map(region => {
+        const length = region.aEnd - region.a;
+        return {
+            a: { startLine: a.tokens[region.a].line, endLine: a.tokens[region.aEnd - 1].line },
+            b: { startLine: b.tokens[region.b].line, endLine: b.tokens[region.b + length - 1].line },
+            tokens: length
+        };
+    });
+}
+
+/**
+ * Compare submissions pairwise. Only submissions in the same language are
+ * compared, and never two by the same user.
+ *
+ * submissions: [{ id, user, language, code }]
+ * starterCode: { [language]: code } whose fingerprints are ignored
+ *
+ * Returns the pairs at or above `threshold` similarity, most similar first:
+ *   [{ a, b, language, similarity, similarityA, similarityB, matches }]
+ * where similarityA is the share of a's fingerprints found in b (and the
+ * other way round) and similarity is the larger of the two, so padding a
+ * copy with extra code does not hide it.
+ */
+export function findSimilarPairs(submissions, { starterCode = {}, threshold = 0.5 } = {}) {
+    const baseHashes = {};
+    for (const [language, code] of Object.entries(starterCode)) {
+        if (SYNTAX[language] && code) {
+            baseHashes[language] = new Set(fingerprint(code, language).fingerprints.map(fp => fp.hash));
+        }
+    }
+
+    // Fingerprint each submission once, dropping those the starter code explains
+    const prints = [];
+    for (const submission of submissions) {
+        if (!SYNTAX[submission.language]) continue;
+
+        const printed = fingerprint(submission.code, submission.language);
+        const base = baseHashes[submission.language];
+        const hashes = new Set(printed.fingerprints.map(fp => fp.hash).filter(hash => !base?.has(hash)));
+        if (hashes.size < MIN_FINGERPRINTS) continue;
+
+        prints.push({ submission, printed, hashes });
+    }
+
+    // Candidate pairs share at least one fingerprint; find them through an index
+    const index = new Map();
+    const languageCounts = new Map();
+    prints.forEach((print, i) => {
+        const { language } = print.submission;
+        languageCounts.set(language, (languageCounts.get(language) || 0) + 1);
+        for (const hash of print.hashes) {
+            const key = `${language}:${hash}`;
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(i);
+        }
+    });
+
+    // Common fingerprints leave the submissions holding them, so they count
+    // neither as shared nor towards the similarity's denominator
+    for (const [key, holders] of index) {
+        const language = key.slice(0, key.lastIndexOf(":"));
+        const cutoff = Math.max(MIN_COMMON_HOLDERS, Math.floor(languageCounts.get(language) * COMMON_HASH_SHARE));
+        if (holders.length <= cutoff) continue;
+
+        const hash = Number(key.slice(key.lastIndexOf(":") + 1));
+        for (const i of holders) prints[i].hashes.delete(hash);
+        index.delete(key);
+    }
+
+    const sharedCounts = new Map();
+    for (const holders of index.values()) {
+        if (holders.length < 2) continue;
+        for (let x = 0; x < holders.length; x++) {
+            for (let y = x + 1; y < holders.length; y++) {
+                const key = `${holders[x]}:${holders[y]}`;
+                sharedCounts.set(key, (sharedCounts.get(key) || 0) + 1);
+            }
+        }
+    }
+
+    const pairs = [];
+    for (const [key, shared] of sharedCounts) {
+        const [x, y] = key.split(":").map(Number);
+        const first = prints[x];
+        const second = prints[y];
+        if (String(first.submission.user) === String(second.submission.user)) continue;
+        if (first.hashes.size < MIN_FINGERPRINTS || second.hashes.size < MIN_FINGERPRINTS) continue;
+
+        const similarityA = shared / first.hashes.size;
+        const similarityB = shared / second.hashes.size;
+        const similarity = Math.max(similarityA, similarityB);
+        if (similarity < threshold) continue;
+
+        const sharedHashes = new Set([...first.hashes].filter(hash => second.hashes.has(hash)));
+        pairs.push({
+            a: first.submission.id,
+            b: second.submission.id,
+            language: first.submission.language,
+            similarity: Math.round(similarity * 1000) / 1000,
+            similarityA: Math.round(similarityA * 1000) / 1000,
+            similarityB: Math.round(similarityB * 1000) / 1000,
+            matches: matchedRegions(first.printed, second.printed, sharedHashes)
+        });
+    }
+
+    return pairs.sort((x, y) => y.similarity - x.similarity);
+}
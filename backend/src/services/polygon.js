@@ -0,0 +1,247 @@
+/**
+ * Converter from Polygon problem packages: a folder with problem.xml, the
+ * tests/, files/ and solutions/ folders and the statements, as Polygon builds
+ * them. Produces problem data as createProblem takes it (see problemPackage.js).
+ *
+ * Polygon's testlib programs do not follow this judge's protocols, so only
+ * standard checkers are mapped onto the built-in ones; custom checkers and
+ * interactors are rejected and validators are left out with a warning.
+ * Polygon packages carry no category or difficulty, so the importer supplies them.
+ */
+
+// Reference solutions a problem takes (see problemController.js)
+const MAX_SOLUTIONS = 5;
+
+// testlib standard checkers (files/<name>.cpp) with a built-in equivalent
+const STANDARD_CHECKERS = {
+    fcmp: { type: "exact" },
+    lcmp: { type: "token" },
+    wcmp: { type: "token" },
+    ncmp: { type: "token" },
+    hcmp: { type: "token" },
+    yesno: { type: "case-insensitive" },
+    nyesno: { type: "token" },
+    acmp: { type: "float", absoluteEpsilon: 1.5e-6, relativeEpsilon: 0 },
+    dcmp: { type: "float", absoluteEpsilon: 1e-6, relativeEpsilon: 1e-6 },
+    rcmp: { type: "float", absoluteEpsilon: 1.5e-6, relativeEpsilon: 0 },
+    rcmp4: { type: "float", absoluteEpsilon: 1e-4, relativeEpsilon: 1e-4 },
+    rcmp6: { type: "float", absoluteEpsilon: 1e-6, relativeEpsilon: 1e-6 },
+    rcmp9: { type: "float", absoluteEpsilon: 1e-9, relativeEpsilon: 1e-9 },
+};
+
+// Polygon source types by prefix (cpp.g++17, java11, python.3, ...)
+const SOURCE_LANGUAGES = [
+    [/^cpp\b/, "cpp"],
+    [/^c\./, "c"],
+    [/^java\d*/, "java"],
+    [/^(python\.3|python\.pypy3|pypy\.?3)/, "python"],
+    [/^rust/, "rust"],
+    [/^go\b/, "go"],
+    [/^(js|javascript|node)/, "javascript"],
+];
+
+// Polygon problems read stdin, so they get stdin starter code
+const STARTER_CODE = {
+    python: "import sys\n\n\ndef main():\n    data = sys.stdin.read().split()\n    # Write your solution here\n\n\nmain()\n",
+    cpp: "#include <bits/stdc++.h>\nusing namespace std;\n\nint main() {\n    // Write your solution here\n    return 0;\n}\n",
+    java: "import java.util.*;\n\npublic class Main {\n    public static void main(String[] args) {\n        Scanner in = new Scanner(System.in);\n        // Write your solution here\n    }\n}\n",
+    javascript: "// The input's lines are in `inputLines`\n",
+};
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, name) => {
+        if (name.startsWith("#x")) return String.fromCodePoint(parseInt(name.slice(2), 16));
+        if (name.startsWith("#")) return String.fromCodePoint(parseInt(name.slice(1), 10));
+        return XML_ENTITIES[name] ?? entity;
+    });
+}
+
+function attributes(tagBody) {
+    return Object.fromEntries([...tagBody.matchAll(/([\w:-]+)="([^"]*)"/g)].map(([, key, value]) => [key, decodeXml(value)]));
+}
+
+// Attributes of every opening (or self-closing) tag of an element
+function elements(xml, name) {
+    return [...xml.matchAll(new RegExp(`<${name}(\\s[^>]*)?/?>`, "g"))].map(match => attributes(match[1] || ""));
+}
+
+// Each { attributes, body } of an element that has content
+function blocks(xml, name) {
+    return [...xml.matchAll(new RegExp(`<${name}(\\s[^>]*)?>([\\s\\S]*?)</${name}>`, "g"))]
+        .map(match => ({ attributes: attributes(match[1] || ""), body: match[2] }));
+}
+
+function elementText(xml, name) {
+    const [block] = blocks(xml, name);
+    return block ? decodeXml(block.body.trim()) : null;
+}
+
+// printf-style test path patterns such as tests/%02d
+function formatPattern(pattern, number) {
+    return pattern.replace(/%0?(\d*)d/, (_, width) => String(number).padStart(parseInt(width) || 0, "0"));
+}
+
+function sourceLanguage(type = "") {
+    return SOURCE_LANGUAGES.find(([pattern]) => pattern.test(type))?.[1] || null;
+}
+
+// Prefer the English version of anything Polygon keeps per language
+function preferEnglish(candidates, languageOf) {
+    return candidates.find(candidate => languageOf(candidate) === "english") || candidates[0];
+}
+
+function readStatement(files, prefix) {
+    const propertyFiles = [...files.keys()]
+        .filter(name => name.startsWith(`${prefix}statements/`) && name.endsWith("/problem-properties.json"));
+    const propertiesFile = preferEnglish(propertyFiles, name => name.split("/").at(-2));
+
+    if (propertiesFile) {
+        try {
+            return JSON.parse(files.get(propertiesFile).toString("utf8"));
+        } catch (error) {
+            throw new Error(`${propertiesFile} is not valid JSON`);
+        }
+    }
+
+    const sectionFiles = [...files.keys()]
+        .filter(name => name.startsWith(`${prefix}statement-sections/`) && name.endsWith("/legend.tex"));
+    const legendFile = preferEnglish(sectionFiles, name => name.split("/").at(-2));
+    if (!legendFile) return null;
+
+    const sectionDir = legendFile.slice(0, -"legend.tex".length);
+    const section = name => files.get(`${sectionDir}${name}.tex`)?.toString("utf8") || "";
+    return { legend: section("legend"), input: section("input"), output: section("output"), notes: section("notes") };
+}
+
+/**
+ * Convert the Polygon problem in `dir` ("" for the archive root) of an archive
+ * read with readZip. Resolves to { data, warnings }; throws when the problem
+ * cannot be converted.
+ */
+export function convertPolygonProblem(files, dir, { category, difficulty } = {}) {
+    const prefix = dir ? `${dir}/` : "";
+    const text = name => {
+        const content = files.get(`${prefix}${name}`);
+        if (!content) throw new Error(`Missing file: ${prefix}${name}`);
+        return content.toString("utf8");
+    };
+    const warnings = [];
+
+    if (!category || !difficulty) {
+        throw new Error("Polygon packages have no category or difficulty: import them with ?category= and ?difficulty=");
+    }
+
+    const xml = text("problem.xml");
+
+    if (elements(xml, "interactor").length > 0) {
+        throw new Error("Interactive Polygon problems are not supported: testlib interactors do not follow this judge's interaction protocol");
+    }
+    if (elements(xml, "validator").length > 0) {
+        warnings.push("The testlib input validator was not imported");
+    }
+
+    // Checker: a testlib standard checker maps onto a built-in one
+    const [checkerTag] = elements(xml, "checker");
+    let checker;
+    if (checkerTag) {
+        const standard = checkerTag.name?.match(/^std::(\w+)\.cpp$/);
+        checker = standard && STANDARD_CHECKERS[standard[1]];
+        if (!checker) {
+            throw new Error(`Checker ${checkerTag.name || "(custom)"} is not supported: only testlib standard checkers can be imported`);
+        }
+    }
+
+    // Limits and tests come from the main testset
+    const testsets = blocks(xml, "testset");
+    const testset = testsets.find(set => set.attributes.name === "tests") || testsets[0];
+    if (!testset) {
+        throw new Error("problem.xml has no testset");
+    }
+    const timeLimit = parseInt(elementText(testset.body, "time-limit"));
+    const memoryLimit = parseInt(elementText(testset.body, "memory-limit"));
+    const inputPattern = elementText(testset.body, "input-path-pattern") || "tests/%02d";
+    const answerPattern = elementText(testset.body, "answer-path-pattern") || "tests/%02d.a";
+
+    // Accepted solutions become reference solutions, the main one first
+    const referenceSolutions = [];
+    const solutions = blocks(xml, "solution")
+        .filter(solution => ["main", "accepted"].includes(solution.attributes.tag))
+        .sort((a, b) => (b.attributes.tag === "main") - (a.attributes.tag === "main"));
+    for (const solution of solutions) {
+        const [source] = elements(solution.body, "source");
+        const language = sourceLanguage(source?.type);
+        if (!source?.path || !files.has(`${prefix}${source.path}`)) {
+            warnings.push(`Solution ${source?.path || "(no source)"} is missing from the package`);
+        } else if (!language) {
+            warnings.push(`Solution ${source.path} (${source.type}) is in a language this judge does not run`);
+        } else if (referenceSolutions.length === MAX_SOLUTIONS) {
+            warnings.push(`Solution ${source.path} left out: at most ${MAX_SOLUTIONS} reference solutions are kept`);
+        } else {
+            referenceSolutions.push({ language, code: text(source.path) });
+        }
+    }
+
+    const testCases = [];
+    const sampleTests = [];
+    for (const [index, test] of elements(testset.body, "test").entries()) {
+        const inputFile = formatPattern(inputPattern, index + 1);
+        const answerFile = formatPattern(answerPattern, index + 1);
+        const input = text(inputFile);
+        const expectedOutput = files.has(`${prefix}${answerFile}`) ? text(answerFile) : undefined;
+
+        if (expectedOutput === undefined && referenceSolutions.length === 0) {
+            throw new Error(`Missing answer ${prefix}${answerFile}, and there is no solution to generate it`);
+        }
+
+        const sample = test.sample === "true";
+        testCases.push({ input, expectedOutput, isHidden: !sample });
+        if (sample && expectedOutput !== undefined) {
+            sampleTests.push({ input, output: expectedOutput });
+        }
+    }
+
+    // Statement, from problem-properties.json or the statement sections
+    const statement = readStatement(files, prefix);
+    if (!statement) {
+        throw new Error("No statement found (statements/*/problem-properties.json or statement-sections/*/legend.tex)");
+    }
+    const description = [
+        statement.legend,
+        statement.input && `### Input\n\n${statement.input}`,
+        statement.output && `### Output\n\n${statement.output}`,
+        statement.notes && `### Notes\n\n${statement.notes}`
+    ].filter(Boolean).join("\n\n");
+    if (/\\[a-zA-Z]+/.test(description)) {
+        warnings.push("The statement contains TeX commands; review how it renders");
+    }
+
+    let examples = (statement.sampleTests || sampleTests).map(({ input, output }) => ({ input, output, explanation: "" }));
+    if (examples.length === 0 && testCases[0]?.expectedOutput !== undefined) {
+        warnings.push("No sample tests; the first test is shown as the example");
+        examples = [{ input: testCases[0].input, output: testCases[0].expectedOutput, explanation: "" }];
+        testCases[0].isHidden = false;
+    }
+
+    const names = elements(xml, "name");
+    const title = preferEnglish(names, name => name.language)?.value || statement.name;
+
+    return {
+        data: {
+            title,
+            description,
+            difficulty,
+            category,
+            tags: elements(xml, "tag").map(tag => tag.value).filter(Boolean),
+            examples,
+            testCases,
+            starterCode: Object.entries(STARTER_CODE).map(([language, code]) => ({ language, code })),
+            timeLimitMs: Number.isFinite(timeLimit) ? timeLimit : undefined,
+            memoryLimitMb: Number.isFinite(memoryLimit) ? Math.round(memoryLimit / (1024 * 1024)) : undefined,
+            checker,
+            referenceSolutions
+        },
+        warnings
+    };
+}
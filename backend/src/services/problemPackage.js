@@ -0,0 +1,261 @@
+import path from "path";
+
+import { slugify } from "../models/Problem.js";
+import { LANGUAGES } from "./languages.js";
+import { parseMemorySize } from "./sandbox.js";
+import { isTestDataRef, openTestData } from "./testData.js";
+import { convertPolygonProblem } from "./polygon.js";
+import { ZipWriter, readZip } from "./zip.js";
+
+/**
+ * Problem packages: zip archives that carry problems between deployments.
+ *
+ *   manifest.json                  { format, version, exportedAt, problems: [slug, ...] }
+ *   <slug>/problem.json            metadata, limits, checker settings, examples,
+ *                                  and the test list [{ input, output, hidden }]
+ *   <slug>/statement.md            the description
+ *   <slug>/tests/<n>.in, <n>.out   test data (an output may be left out when
+ *                                  reference solutions can generate it)
+ *   <slug>/starter/, solutions/, checker, interactor, validator, generator
+ *                                  program code, referenced from problem.json
+ *                                  as { language, file }
+ *
+ * Archives without a manifest are read as Polygon packages (see polygon.js).
+ */
+
+export const PACKAGE_FORMAT = "problem-package";
+export const PACKAGE_VERSION = 1;
+
+// Package bounds - can be overridden by environment variables
+export const MAX_PACKAGE_SIZE = parseMemorySize(process.env.MAX_PROBLEM_PACKAGE_SIZE) || 64 * 1024 * 1024; // 64MB zipped
+const MAX_PACKAGE_CONTENT_SIZE = parseMemorySize(process.env.MAX_PROBLEM_PACKAGE_CONTENT_SIZE) || 256 * 1024 * 1024; // 256MB unzipped
+const MAX_PACKAGE_ENTRIES = 10000;
+
+export const PACKAGE_INVALID = "PACKAGE_INVALID";
+export const PACKAGE_TOO_LARGE = "PACKAGE_TOO_LARGE";
+
+function packageError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function sourceExtension(language) {
+    return path.extname(LANGUAGES[language].fileName(""));
+}
+
+function testDataSize(text, ref) {
+    return isTestDataRef(ref) ? ref.size : Buffer.byteLength(text || "", "utf8");
+}
+
+// Add one problem (a lean Problem document) to the archive
+async function addProblemEntries(zip, problem) {
+    const entries = [];
+    const addFile = (name, data) => {
+        entries.push({ name: `${problem.slug}/${name}`, data });
+        return name;
+    };
+    // Stored test data is streamed into the archive, one file at a time
+    const addTestData = async (name, text, ref) => {
+        await zip.add(`${problem.slug}/${name}`, isTestDataRef(ref) ? openTestData(ref) : text || "");
+        return name;
+    };
+    const program = (source, baseName) => source?.code
+        ? { language: source.language, file: addFile(`${baseName}${sourceExtension(source.language)}`, source.code) }
+        : null;
+
+    const width = Math.max(2, String(problem.testCases.length).length);
+    const tests = [];
+    for (const [index, testCase] of problem.testCases.entries()) {
+        const name = String(index + 1).padStart(width, "0");
+
+        tests.push({
+            input: await addTestData(`tests/${name}.in`, testCase.input, testCase.inputFile),
+            output: await addTestData(`tests/${name}.out`, testCase.expectedOutput, testCase.outputFile),
+            hidden: Boolean(testCase.isHidden)
+        });
+    }
+
+    const { type, absoluteEpsilon, relativeEpsilon } = problem.checker || {};
+    const metadata = {
+        title: problem.title,
+        slug: problem.slug,
+        difficulty: problem.difficulty,
+        category: problem.category,
+        tags: problem.tags || [],
+        constraints: problem.constraints || "",
+        hints: problem.hints || [],
+        timeLimitMs: problem.timeLimitMs,
+        memoryLimitMb: problem.memoryLimitMb,
+        outputLimitKb: problem.outputLimitKb,
+        languageLimits: (problem.languageLimits || []).map(({ language, timeMultiplier, memoryMultiplier }) => ({ language, timeMultiplier, memoryMultiplier })),
+        problemType: problem.problemType || "standard",
+        signature: problem.signature
+            ? {
+                functionName: problem.signature.functionName,
+                params: problem.signature.params.map(({ name, type }) => ({ name, type })),
+                returnType: problem.signature.returnType
+            }
+            : null,
+        checker: type === "custom"
+            ? { type, ...program(problem.checker, "checker") }
+            : { type: type || "exact", absoluteEpsilon, relativeEpsilon },
+        interactor: program(problem.interactor, "interactor"),
+        inputValidator: program(problem.inputValidator, "validator"),
+        scalingGenerator: problem.scalingGenerator
+            ? { ...program(problem.scalingGenerator, "generator"), sizes: [...problem.scalingGenerator.sizes] }
+            : null,
+        referenceSolutions: (problem.referenceSolutions || []).map((solution, index) => program(solution, `solutions/${index + 1}-${solution.language}`)),
+        starterCode: problem.starterCode.map(starter => program(starter, `starter/${starter.language}`)),
+        examples: problem.examples.map(({ input, output, explanation }) => ({ input, output, explanation: explanation || "" })),
+        tests
+    };
+
+    addFile("statement.md", problem.description);
+    addFile("problem.json", `${JSON.stringify(metadata, null, 4)}\n`);
+    for (const { name, data } of entries) {
+        await zip.add(name, data);
+    }
+}
+
+/**
+ * Build a package from lean Problem documents. Throws an error with code
+ * PACKAGE_TOO_LARGE when the contents would exceed what an import accepts.
+ */
+export async function buildProblemPackage(problems) {
+    const contentSize = problems.reduce((total, problem) => total +
+        Buffer.byteLength(JSON.stringify(problem), "utf8") +
+        problem.testCases.reduce((sum, testCase) =>
+            sum + testDataSize(testCase.input, testCase.inputFile) + testDataSize(testCase.expectedOutput, testCase.outputFile), 0), 0);
+    if (contentSize > MAX_PACKAGE_CONTENT_SIZE) {
+        throw packageError(PACKAGE_TOO_LARGE, `Package contents cannot exceed ${MAX_PACKAGE_CONTENT_SIZE} bytes`);
+    }
+
+    const manifest = {
+        format: PACKAGE_FORMAT,
+        version: PACKAGE_VERSION,
+        exportedAt: new Date().toISOString(),
+        problems: problems.map(problem => problem.slug)
+    };
+
+    const zip = new ZipWriter();
+    await zip.add("manifest.json", `${JSON.stringify(manifest, null, 4)}\n`);
+    // Only the compressed archive is held: test data goes in as it is read
+    for (const problem of problems) {
+        await addProblemEntries(zip, problem);
+    }
+
+    return zip.toBuffer();
+}
+
+// Problem data as createProblem takes it, from the problem in `dir` of a package
+function readPackageProblem(files, dir) {
+    const text = name => {
+        const content = typeof name === "string" && files.get(`${dir}/${name}`);
+        if (!content) throw new Error(`Missing file: ${dir}/${name}`);
+        return content.toString("utf8");
+    };
+    // { language, file } -> { language, code }, keeping any other settings
+    const program = (entry, label) => {
+        if (entry === undefined || entry === null) return entry;
+        if (typeof entry !== "object" || typeof entry.file !== "string") {
+            throw new Error(`${label} must be { language, file } in problem.json`);
+        }
+        const { file, ...settings } = entry;
+        return { ...settings, code: text(file) };
+    };
+
+    let metadata;
+    try {
+        metadata = JSON.parse(text("problem.json"));
+    } catch (error) {
+        throw error instanceof SyntaxError ? new Error(`${dir}/problem.json is not valid JSON`) : error;
+    }
+    if (!metadata || typeof metadata !== "object" || !Array.isArray(metadata.tests)) {
+        throw new Error(`${dir}/problem.json must be an object with a tests list`);
+    }
+
+    const { slug, tests, checker, ...fields } = metadata;
+    // Slugs come from titles, so a renamed title would not update the same problem
+    if (slug !== undefined && typeof fields.title === "string" && slug !== slugify(fields.title)) {
+        throw new Error(`Slug "${slug}" does not match the title "${fields.title}" (expected "${slugify(fields.title)}")`);
+    }
+
+    return {
+        ...fields,
+        description: text("statement.md"),
+        checker: checker?.type === "custom" ? program(checker, "checker") : checker,
+        interactor: program(fields.interactor, "interactor"),
+        inputValidator: program(fields.inputValidator, "inputValidator"),
+        scalingGenerator: program(fields.scalingGenerator, "scalingGenerator"),
+        referenceSolutions: Array.isArray(fields.referenceSolutions)
+            ? fields.referenceSolutions.map((solution, index) => program(solution, `referenceSolutions[${index}]`))
+            : fields.referenceSolutions,
+        starterCode: Array.isArray(fields.starterCode)
+            ? fields.starterCode.map((starter, index) => program(starter, `starterCode[${index}]`))
+            : fields.starterCode,
+        testCases: tests.map((test, index) => {
+            if (!test || typeof test.input !== "string") {
+                throw new Error(`Test ${index + 1} must name its input file`);
+            }
+            return {
+                input: text(test.input),
+                expectedOutput: test.output !== undefined && test.output !== null ? text(test.output) : undefined,
+                isHidden: Boolean(test.hidden)
+            };
+        })
+    };
+}
+
+/**
+ * Read a package (or a Polygon package); resolves to
+ *   { format: "package" | "polygon", problems: [{ slug, data, warnings } | { slug, error }] }
+ * with each problem's data as createProblem takes it, not yet validated.
+ * Problems that cannot be read get an error; the package as a whole fails
+ * (codes PACKAGE_INVALID, PACKAGE_TOO_LARGE, or zip.js ZIP_*) when it is unreadable.
+ * Polygon packages take their { category, difficulty } from the options.
+ */
+export async function readProblemPackage(buffer, options = {}) {
+    const files = await readZip(buffer, { maxEntries: MAX_PACKAGE_ENTRIES, maxSize: MAX_PACKAGE_CONTENT_SIZE });
+
+    const read = (dir, convert) => {
+        try {
+            const { data, warnings = [] } = convert();
+            return { slug: typeof data.title === "string" ? slugify(data.title) : dir, data, warnings };
+        } catch (error) {
+            return { slug: dir, error: error.message };
+        }
+    };
+
+    if (files.has("manifest.json")) {
+        let manifest;
+        try {
+            manifest = JSON.parse(files.get("manifest.json").toString("utf8"));
+        } catch (error) {
+            throw packageError(PACKAGE_INVALID, "manifest.json is not valid JSON");
+        }
+        if (manifest?.format !== PACKAGE_FORMAT || !Array.isArray(manifest.problems)) {
+            throw packageError(PACKAGE_INVALID, `manifest.json must describe a ${PACKAGE_FORMAT} with a problems list`);
+        }
+        if (!(manifest.version <= PACKAGE_VERSION)) {
+            throw packageError(PACKAGE_INVALID, `Unsupported package version ${manifest.version} (this server reads up to ${PACKAGE_VERSION})`);
+        }
+
+        return {
+            format: "package",
+            problems: manifest.problems.map(dir => read(String(dir), () => ({ data: readPackageProblem(files, String(dir)) })))
+        };
+    }
+
+    const polygonDirs = [...files.keys()]
+        .filter(name => name === "problem.xml" || name.endsWith("/problem.xml"))
+        .map(name => path.posix.dirname(name).replace(/^\.$/, ""));
+    if (polygonDirs.length === 0) {
+        throw packageError(PACKAGE_INVALID, "Neither manifest.json (a problem package) nor problem.xml (a Polygon package) was found");
+    }
+
+    return {
+        format: "polygon",
+        problems: polygonDirs.map(dir => read(dir || "problem", () => convertPolygonProblem(files, dir, options)))
+    };
+}
@@ -0,0 +1,251 @@
+import os from "os";
+
+import {
+    VERDICTS,
+    applyResourceUsage,
+    reportsOutOfMemory,
+    describeFailure
+} from "./verdicts.js";
+import { BaseExecutor } from "./baseExecutor.js";
+import { parseMemorySize, wallTimeLimit } from "./sandbox.js";
+import { LANGUAGES, getLanguage, remoteLanguageIds } from "./languages.js";
+
+// Remote judge connection - a Judge0-compatible HTTP API
+const REMOTE_JUDGE_URL = (process.env.REMOTE_JUDGE_URL || "http://localhost:2358").replace(/\/+$/, "");
+const REMOTE_JUDGE_TOKEN = process.env.REMOTE_JUDGE_TOKEN || "";
+const REMOTE_JUDGE_POLL_INTERVAL = parseInt(process.env.REMOTE_JUDGE_POLL_INTERVAL) || 250; // ms
+// Extra time allowed on top of the wall-clock limit for queueing on the judge
+const REMOTE_JUDGE_QUEUE_TIMEOUT = parseInt(process.env.REMOTE_JUDGE_QUEUE_TIMEOUT) || 60000; // 1 minute
+
+// Same defaults as the in-container executor
+const EXECUTION_TIMEOUT = parseInt(process.env.EXECUTION_TIMEOUT) || 5000; // 5 seconds
+const MAX_OUTPUT_SIZE = parseInt(process.env.MAX_OUTPUT_SIZE) || 10000; // 10KB
+const MEMORY_LIMIT = parseMemorySize(process.env.MEMORY_LIMIT) || 256 * 1024 * 1024; // 256MB
+
+// Judge0 status ids
+const STATUS = {
+    IN_QUEUE: 1,
+    PROCESSING: 2,
+    ACCEPTED: 3,
+    WRONG_ANSWER: 4,
+    TIME_LIMIT_EXCEEDED: 5,
+    COMPILATION_ERROR: 6,
+    RUNTIME_ERROR_SIGXFSZ: 8,
+    INTERNAL_ERROR: 13,
+    EXEC_FORMAT_ERROR: 14,
+};
+
+const RESULT_FIELDS = "stdout,stderr,compile_output,message,status,time,wall_time,memory,exit_code,exit_signal";
+
+const encode = text => Buffer.from(text, "utf8").toString("base64");
+const decode = text => (text ? Buffer.from(text, "base64").toString("utf8") : "");
+
+// Judge0 reports signals by number, results carry their names
+const signalName = number => (number
+    ? Object.keys(os.constants.signals).find(name => os.constants.signals[name] === number) || null
+    : null);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Judge0 runs Java as `Main`: hand the candidate's public class over to a
+ * delegating Main unless it already is one
+ */
+function adaptJavaSource(code, fileName) {
+    const className = fileName.replace(/\.java$/, "");
+    if (className === "Main") return code;
+
+    return `${code.replace(new RegExp(`public\\s+class\\s+${className}\\b`), `class ${className}`)}
+
+public class Main {
+    public static void main(String[] args) throws Exception {
+        ${className}.main(args);
+    }
+}
+`;
+}
+
+/**
+ * Execute code on a remote, Judge0-compatible judge.
+ *
+ * The judge builds and runs the source for every submission it receives, so
+ * the compile phase only prepares the source and a compilation error shows
+ * up on the first test run (runTestCases still reports it once).
+ * Output checking stays local: the judge never sees expected outputs.
+ * Interactive problems are not supported, since a submission runs a single
+ * program; for development, judge0Standin.js stands in for a real judge.
+ */
+export class RemoteJudgeExecutor extends BaseExecutor {
+    constructor() {
+        super();
+        this.languageIds = remoteLanguageIds();
+        console.log(`✓ Remote judge at: ${REMOTE_JUDGE_URL}`);
+    }
+
+    /**
+     * Fill in default limits for anything the problem does not set
+     */
+    resolveLimits(limits = {}) {
+        return {
+            timeLimitMs: limits.timeLimitMs || EXECUTION_TIMEOUT,
+            memoryLimitBytes: limits.memoryLimitMb ? limits.memoryLimitMb * 1024 * 1024 : MEMORY_LIMIT,
+            outputLimitBytes: limits.outputLimitKb ? limits.outputLimitKb * 1024 : MAX_OUTPUT_SIZE
+        };
+    }
+
+    /**
+     * Call the judge's API, throwing on HTTP errors
+     */
+    async request(method, pathname, body = null) {
+        const headers = { "Content-Type": "application/json" };
+        if (REMOTE_JUDGE_TOKEN) {
+            headers["X-Auth-Token"] = REMOTE_JUDGE_TOKEN;
+        }
+
+        const response = await fetch(`${REMOTE_JUDGE_URL}${pathname}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(REMOTE_JUDGE_QUEUE_TIMEOUT)
+        });
+
+        if (!response.ok) {
+            const details = await response.text().catch(() => "");
+            throw new Error(`Remote judge responded ${response.status}: ${details.slice(0, 200)}`);
+        }
+
+        return await response.json();
+    }
+
+    /**
+     * Languages the judge offers that map onto the registry
+     */
+    async listLanguages() {
+        try {
+            const remoteLanguages = await this.request("GET", "/languages");
+            const offered = new Map(remoteLanguages.map(language => [language.id, language.name]));
+
+            return Object.values(LANGUAGES)
+                .filter(language => offered.has(this.languageIds[language.id]))
+                .map(language => ({
+                    id: language.id,
+                    name: language.name,
+                    version: offered.get(this.languageIds[language.id])
+                }));
+        } catch (error) {
+            console.error("Error listing remote judge languages:", error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Compile phase: nothing is built locally, the program is the prepared source
+     */
+    async compile(code, language) {
+        const definition = getLanguage(language);
+        if (!definition || !this.languageIds[language]) {
+            throw new Error(`Unsupported language: ${language}`);
+        }
+
+        const fileName = definition.fileName(code);
+        let source = definition.prepareSource ? definition.prepareSource(code) : code;
+        if (definition.id === "java") {
+            source = adaptJavaSource(source, fileName);
+        }
+
+        return {
+            success: true,
+            program: { language: definition, source, compileTime: 0 }
+        };
+    }
+
+    /**
+     * Run phase: submit the source and input, then poll until the judge is done
+     */
+    async runProgram(program, input = "", limits = {}) {
+        const resolvedLimits = this.resolveLimits(limits);
+        const wallTimeMs = wallTimeLimit(resolvedLimits.timeLimitMs);
+
+        const { token } = await this.request("POST", "/submissions?base64_encoded=true&wait=false", {
+            language_id: this.languageIds[program.language.id],
+            source_code: encode(program.source),
+            // The judge takes stdin inline, so stored test data is loaded here
+            stdin: encode(typeof input === "string" ? input : await input.read()),
+            cpu_time_limit: resolvedLimits.timeLimitMs / 1000,
+            wall_time_limit: wallTimeMs / 1000,
+            memory_limit: Math.floor(resolvedLimits.memoryLimitBytes / 1024)
+        });
+
+        const deadline = Date.now() + wallTimeMs + REMOTE_JUDGE_QUEUE_TIMEOUT;
+        while (Date.now() < deadline) {
+            const submission = await this.request(
+                "GET",
+                `/submissions/${encodeURIComponent(token)}?base64_encoded=true&fields=${RESULT_FIELDS}`
+            );
+            if (submission.status?.id > STATUS.PROCESSING) {
+                return this.toResult(submission, resolvedLimits);
+            }
+            await sleep(REMOTE_JUDGE_POLL_INTERVAL);
+        }
+
+        throw new Error("Remote judge did not finish in time");
+    }
+
+    /**
+     * Nothing to clean up locally
+     */
+    async releaseProgram() {}
+
+    /**
+     * Map a finished Judge0 submission onto the shared result contract
+     */
+    toResult(submission, limits) {
+        const statusId = submission.status.id;
+        const stdout = decode(submission.stdout);
+        const stderr = decode(submission.stderr).trim();
+        const usage = submission.time !== null && submission.time !== undefined
+            ? { cpuTime: Math.round(parseFloat(submission.time) * 1000), peakMemory: submission.memory || 0 }
+            : null;
+
+        if (statusId === STATUS.INTERNAL_ERROR || statusId === STATUS.EXEC_FORMAT_ERROR) {
+            throw new Error(`Remote judge error: ${submission.message || submission.status.description}`);
+        }
+
+        let verdict;
+        if (statusId === STATUS.ACCEPTED || statusId === STATUS.WRONG_ANSWER) {
+            verdict = VERDICTS.ACCEPTED;
+        } else if (statusId === STATUS.TIME_LIMIT_EXCEEDED) {
+            verdict = VERDICTS.TIME_LIMIT_EXCEEDED;
+        } else if (statusId === STATUS.COMPILATION_ERROR) {
+            verdict = VERDICTS.COMPILATION_ERROR;
+        } else if (statusId === STATUS.RUNTIME_ERROR_SIGXFSZ) {
+            verdict = VERDICTS.OUTPUT_LIMIT_EXCEEDED;
+        } else {
+            verdict = reportsOutOfMemory(stderr) ? VERDICTS.MEMORY_LIMIT_EXCEEDED : VERDICTS.RUNTIME_ERROR;
+        }
+
+        // The judge has no output cap of its own
+        if (verdict === VERDICTS.ACCEPTED && Buffer.byteLength(stdout) > limits.outputLimitBytes) {
+            verdict = VERDICTS.OUTPUT_LIMIT_EXCEEDED;
+        }
+        verdict = applyResourceUsage(verdict, usage, limits);
+
+        const error = verdict === VERDICTS.COMPILATION_ERROR
+            ? decode(submission.compile_output).trim()
+            : describeFailure(verdict, { usage, limits, stderr: stderr || submission.message || "" });
+
+        return {
+            success: verdict === VERDICTS.ACCEPTED,
+            verdict,
+            output: verdict === VERDICTS.TIME_LIMIT_EXCEEDED ? "" : stdout.trim(),
+            error,
+            exitCode: submission.exit_code ?? null,
+            signal: signalName(submission.exit_signal),
+            executionTime: submission.wall_time ? Math.round(parseFloat(submission.wall_time) * 1000) : 0,
+            cpuTime: usage?.cpuTime ?? null,
+            peakMemory: usage?.peakMemory ?? null
+        };
+    }
+}
+
+export default new RemoteJudgeExecutor();
@@ -0,0 +1,101 @@
+import crypto from "crypto";
+
+import codeExecutor from "./executor.js";
+import { VERDICTS } from "./verdicts.js";
+
+// Cache bounds - can be overridden by environment variables
+const EXECUTION_CACHE_TTL = parseInt(process.env.EXECUTION_CACHE_TTL) || 10 * 60 * 1000; // 10 minutes
+const EXECUTION_CACHE_MAX_ENTRIES = parseInt(process.env.EXECUTION_CACHE_MAX_ENTRIES) || 1000;
+const EXECUTION_CACHE_MAX_BYTES = parseInt(process.env.EXECUTION_CACHE_MAX_BYTES) || 32 * 1024 * 1024; // 32MB
+// How long the runtime versions that are part of every key are trusted
+const RUNTIME_VERSIONS_TTL = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * In-memory cache of execution results (runs against visible tests and
+ * custom input runs), so that running unchanged code again answers at once.
+ *
+ * Keys hash everything the result depends on (see keyFor): the language and
+ * its runtime version, the code, the input or tests, and the limits. Entries
+ * expire after a TTL and the least recently used go first once the entry or
+ * byte bounds are reached. Time limit verdicts are not cached since a rerun
+ * can come out differently.
+ */
+class ResultCache {
+    constructor() {
+        // Map iteration order doubles as recency order: oldest first
+        this.entries = new Map();
+        this.totalBytes = 0;
+        this.runtimeVersions = null;
+        this.runtimeVersionsAt = 0;
+    }
+
+    /**
+     * Runtime version of each language, refreshed now and then (toolchains can be upgraded under us)
+     */
+    async runtimeVersion(language) {
+        if (!this.runtimeVersions || Date.now() - this.runtimeVersionsAt > RUNTIME_VERSIONS_TTL) {
+            const languages = await codeExecutor.listLanguages({ maxAge: RUNTIME_VERSIONS_TTL });
+            this.runtimeVersions = new Map(languages.map(({ id, version }) => [id, version]));
+            this.runtimeVersionsAt = Date.now();
+        }
+        return this.runtimeVersions.get(language) || "unknown";
+    }
+
+    /**
+     * Cache key for a run: { kind, language, code, ... } plus the language's runtime version
+     */
+    async keyFor(parts) {
+        const version = await this.runtimeVersion(parts.language);
+        return crypto.createHash("sha256")
+            .update(JSON.stringify({ ...parts, version }))
+            .digest("hex");
+    }
+
+    /**
+     * Cached result for a key: { result, cachedAt }, or null
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (Date.now() - entry.cachedAt > EXECUTION_CACHE_TTL) {
+            this.delete(key);
+            return null;
+        }
+
+        // Move to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return { result: entry.result, cachedAt: new Date(entry.cachedAt) };
+    }
+
+    /**
+     * Store a result unless it is timing-dependent, an executor failure (see
+     * BaseExecutor.failedResult) or too large to keep
+     */
+    set(key, result) {
+        const { verdict, internalError } = result.summary || result;
+        if (verdict === VERDICTS.TIME_LIMIT_EXCEEDED || internalError) return;
+
+        const bytes = Buffer.byteLength(JSON.stringify(result));
+        if (bytes > EXECUTION_CACHE_MAX_BYTES) return;
+
+        this.delete(key);
+        this.entries.set(key, { result, bytes, cachedAt: Date.now() });
+        this.totalBytes += bytes;
+
+        while (this.entries.size > EXECUTION_CACHE_MAX_ENTRIES || this.totalBytes > EXECUTION_CACHE_MAX_BYTES) {
+            this.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        this.entries.delete(key);
+        this.totalBytes -= entry.bytes;
+    }
+}
+
+export default new ResultCache();
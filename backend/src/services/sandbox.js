@@ -0,0 +1,256 @@
+import { exec } from "child_process";
+import { promisify } from "util";
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+
+const execPromise = promisify(exec);
+
+// Unprivileged identity for user code (defaults to `nobody`)
+const SANDBOX_UID = parseInt(process.env.SANDBOX_UID) || 65534;
+const SANDBOX_GID = parseInt(process.env.SANDBOX_GID) || 65534;
+
+// Resource limits - can be overridden by environment variables
+const SANDBOX_MAX_PROCESSES = parseInt(process.env.SANDBOX_MAX_PROCESSES) || 128;
+const SANDBOX_FILE_SIZE = parseMemorySize(process.env.SANDBOX_FILE_SIZE) || 16 * 1024 * 1024; // 16MB
+const SANDBOX_PATH = process.env.SANDBOX_PATH || "/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin";
+
+// Where the job directory is bind-mounted inside the mount namespace
+const BOX_DIR = "/tmp/box";
+
+// Time limits apply to CPU time; the wall clock only stops programs that
+// sleep or block, so it leaves room for startup and I/O
+const WALL_TIME_FACTOR = 2;
+const WALL_TIME_EXTRA_MS = 1000;
+
+// Interpreter for the usage reporter below
+const SANDBOX_PYTHON = process.env.SANDBOX_PYTHON || "python3";
+
+// Descriptor the usage reporter writes its measurements to
+const USAGE_FD = 3;
+
+// Runs the command, collects its rusage with wait4() and writes CPU time (ms)
+// and peak resident memory (KB) as JSON to USAGE_FD, then exits the way a
+// shell would (128 + N when the command was killed by signal N).
+// The command itself does not inherit the descriptor.
+const USAGE_REPORTER = `
+import json, os, sys
+pid = os.fork()
+if pid == 0:
+    os.close(${USAGE_FD})
+    try:
+        os.execvp(sys.argv[1], sys.argv[1:])
+    except OSError as error:
+        sys.stderr.write(str(error) + "\\n")
+        os._exit(127)
+_, status, usage = os.wait4(pid, 0)
+os.write(${USAGE_FD}, json.dumps({
+    "cpuTime": round((usage.ru_utime + usage.ru_stime) * 1000),
+    "peakMemory": usage.ru_maxrss,
+}).encode())
+os._exit(128 + os.WTERMSIG(status) if os.WIFSIGNALED(status) else os.WEXITSTATUS(status))
+`;
+
+export const SANDBOX_MODES = {
+    NAMESPACES: "namespaces", // unshare + rlimits + dropped privileges
+    RLIMITS: "rlimits", // rlimits (+ dropped privileges when running as root)
+    NONE: "none", // empty environment only
+};
+
+/**
+ * Parse sizes like "128m", "1g" or "65536" into bytes
+ */
+export function parseMemorySize(value) {
+    if (!value) return null;
+
+    const match = String(value).trim().toLowerCase().match(/^(\d+)([kmg]?)b?$/);
+    if (!match) return null;
+
+    const units = { "": 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+    return parseInt(match[1]) * units[match[2]];
+}
+
+/**
+ * Quote a value for safe use inside a POSIX shell command
+ */
+export function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Wall-clock limit for a run with the given CPU time limit
+ */
+export function wallTimeLimit(timeLimitMs) {
+    return timeLimitMs * WALL_TIME_FACTOR + WALL_TIME_EXTRA_MS;
+}
+
+function usageReporter() {
+    return `${SANDBOX_PYTHON} -c ${shellQuote(USAGE_REPORTER)}`;
+}
+
+function usageRedirect(usageFile) {
+    return `${USAGE_FD}>${shellQuote(usageFile)}`;
+}
+
+/**
+ * Run a command under the usage reporter without any other sandboxing
+ * (for the development executor). Read the result with readResourceUsage().
+ */
+export function measureCommand(command, usageFile) {
+    return `${usageReporter()} ${command} ${usageRedirect(usageFile)}`;
+}
+
+/**
+ * Read and remove a usage file: { cpuTime, peakMemory } or null when the
+ * reporter did not finish (e.g. killed by the wall-clock timeout)
+ */
+export async function readResourceUsage(usageFile) {
+    try {
+        const usage = JSON.parse(await fs.readFile(usageFile, "utf8"));
+        return { cpuTime: usage.cpuTime, peakMemory: usage.peakMemory };
+    } catch {
+        return null;
+    } finally {
+        await fs.rm(usageFile, { force: true });
+    }
+}
+
+/**
+ * Kernel-level isolation for user code.
+ *
+ * Each job runs as an unprivileged user with rlimits (CPU, address space,
+ * file size, process count), an empty environment, and - when namespaces are
+ * available - no network, a private /proc and /tmp, and only its own job
+ * directory visible (bind-mounted at /tmp/box). The app directory and the
+ * other jobs' directories are hidden behind empty tmpfs mounts.
+ *
+ * The strongest mode that works on the host is picked at startup; weaker
+ * modes are logged so a misconfigured deployment is visible.
+ */
+export class Sandbox {
+    constructor() {
+        this.mode = SANDBOX_MODES.NONE;
+        this.dropPrivileges = false;
+        this.hiddenPaths = [];
+    }
+
+    /**
+     * Probe what the host supports, strongest mode first
+     */
+    async init(tempDir) {
+        this.dropPrivileges = process.getuid?.() === 0;
+        this.hiddenPaths = [tempDir, process.cwd(), ...(process.env.SANDBOX_HIDDEN_PATHS || "").split(":")]
+            .filter(Boolean)
+            .map(p => path.resolve(p))
+            // /tmp is replaced wholesale, and hiding / would hide the runtimes
+            .filter(p => p !== "/" && p !== "/tmp" && !p.startsWith("/tmp/"));
+
+        const probeDir = await fs.mkdtemp(path.join(os.tmpdir(), "sandbox-probe-"));
+
+        try {
+            for (const mode of [SANDBOX_MODES.NAMESPACES, SANDBOX_MODES.RLIMITS]) {
+                this.mode = mode;
+                try {
+                    await this.prepareWorkdir(probeDir);
+                    await execPromise(this.wrapCommand("true", { workdir: probeDir, timeLimitMs: 1000 }), {
+                        cwd: probeDir,
+                        timeout: 5000
+                    });
+                    break;
+                } catch (error) {
+                    console.error(`⚠️  Sandbox mode "${mode}" unavailable: ${error.message.split("\n")[0]}`);
+                    this.mode = SANDBOX_MODES.NONE;
+                }
+            }
+        } finally {
+            await fs.rm(probeDir, { recursive: true, force: true });
+        }
+
+        if (this.mode === SANDBOX_MODES.NONE) {
+            console.error("⚠️  Warning: sandbox disabled, user code only runs with an empty environment");
+        } else {
+            console.log(`✓ Sandbox mode: ${this.mode}${this.dropPrivileges ? ` (uid ${SANDBOX_UID})` : ""}`);
+        }
+
+        return this.mode;
+    }
+
+    /**
+     * Hand the job directory over to the sandbox user
+     */
+    async prepareWorkdir(workdir) {
+        if (!this.dropPrivileges || this.mode === SANDBOX_MODES.NONE) return;
+
+        await fs.chown(workdir, SANDBOX_UID, SANDBOX_GID);
+        const entries = await fs.readdir(workdir, { recursive: true });
+        await Promise.all(entries.map(entry =>
+            fs.chown(path.join(workdir, entry), SANDBOX_UID, SANDBOX_GID)
+        ));
+    }
+
+    /**
+     * Wrap a command so it runs inside the sandbox under CPU and wall-clock limits.
+     * The command must reference files relative to the job directory.
+     *
+     * `timeout` runs first, as root: it keeps the parent-death signal through
+     * exec (a uid change would clear it), so killing the wrapper kills the job,
+     * and it exits with TIMEOUT_EXIT_CODE when the limit is hit.
+     *
+     * With a usageFile, the usage reporter runs next, still as root and outside
+     * the rlimits, and writes the command's CPU time and peak memory there.
+     * The file is opened before any mounts, so it should live outside the job
+     * directory where the command cannot replace it.
+     */
+    wrapCommand(command, { workdir, timeLimitMs, addressSpaceBytes = null, usageFile = null }) {
+        // coreutils `timeout` accepts fractional seconds, the CPU rlimit does not
+        const timeout = `timeout ${wallTimeLimit(timeLimitMs) / 1000}`;
+        const reporter = usageFile ? `${usageReporter()} ` : "";
+        const redirect = usageFile ? ` ${usageRedirect(usageFile)}` : "";
+        const environment = `env -i PATH=${shellQuote(SANDBOX_PATH)} HOME=/tmp LANG=C.UTF-8`;
+
+        if (this.mode === SANDBOX_MODES.NONE) {
+            return `${timeout} ${reporter}${environment} ${command}${redirect}`;
+        }
+
+        // SIGXCPU at the soft limit; the hard limit (SIGKILL) is only a backstop
+        const cpuSeconds = Math.ceil(timeLimitMs / 1000);
+        const limits = [
+            "prlimit",
+            `--cpu=${cpuSeconds}:${cpuSeconds + 1}`,
+            `--fsize=${SANDBOX_FILE_SIZE}`,
+            `--nproc=${SANDBOX_MAX_PROCESSES}`,
+            "--core=0",
+            addressSpaceBytes ? `--as=${addressSpaceBytes}` : null,
+            "--"
+        ].filter(Boolean).join(" ");
+
+        const drop = this.dropPrivileges
+            ? `setpriv --reuid=${SANDBOX_UID} --regid=${SANDBOX_GID} --clear-groups --no-new-privs -- `
+            : "";
+
+        const jailed = `${timeout} ${reporter}${limits} ${drop}${environment} ${command}`;
+
+        if (this.mode === SANDBOX_MODES.RLIMITS) {
+            return `${jailed}${redirect}`;
+        }
+
+        // Mount setup runs as root inside the new namespaces, before dropping privileges
+        const setup = [
+            `cd ${shellQuote(workdir)}`,
+            "mount --make-rprivate /",
+            ...this.hiddenPaths.map(p =>
+                `if [ -d ${shellQuote(p)} ]; then mount -t tmpfs -o size=1m,mode=755 tmpfs ${shellQuote(p)}; fi`
+            ),
+            "mount -t tmpfs -o mode=1777 tmpfs /tmp",
+            `mkdir ${BOX_DIR}`,
+            // --no-canonicalize makes "." resolve against the (now hidden) job directory
+            `mount --no-canonicalize --bind . ${BOX_DIR}`,
+            `cd ${BOX_DIR}`,
+            `exec ${jailed}`
+        ].join(" && ");
+
+        return `unshare --net --mount --pid --ipc --uts --fork --kill-child --mount-proc sh -c ${shellQuote(setup)}${redirect}`;
+    }
+}
+
+export default new Sandbox();
@@ -1,22 +1,38 @@
-import { exec } from "child_process";
-import { promisify } from "util";
 import fs from "fs/promises";
 import path from "path";
 import crypto from "crypto";
-
-const execPromise = promisify(exec);
-
-// Timeouts and limits
+import { pipeline } from "stream/promises";
+
+import {
+    VERDICTS,
+    classifyProcessOutcome,
+    outcomeFromExecError,
+    execFailureMessage,
+    reportsOutOfMemory,
+    applyResourceUsage,
+    describeFailure
+} from "./verdicts.js";
+import { BaseExecutor } from "./baseExecutor.js";
+import { measureCommand, readResourceUsage, wallTimeLimit } from "./sandbox.js";
+import { execCommand } from "./commandRunner.js";
+import { getLanguage } from "./languages.js";
+import { runInteraction, writeTestFiles } from "./interaction.js";
+
+// Default timeouts and limits (problems can override them)
 const EXECUTION_TIMEOUT = 5000; // 5 seconds
 const MAX_OUTPUT_SIZE = 10000; // 10KB
+const MEMORY_LIMIT = 256 * 1024 * 1024; // 256MB, checked after the run
 
 /**
  * Execute code WITHOUT Docker (for development only)
  * WARNING: This is less secure and should not be used in production
  * Use the Docker version (codeExecutor.js) for production
+ * Memory limits are not enforced here, only checked against the measured peak
+ * after the run (and passed to the runtimes' own heap flags for Node and Java)
  */
-export class SimpleCodeExecutor {
+export class SimpleCodeExecutor extends BaseExecutor {
     constructor() {
+        super();
         this.tempDir = path.join(process.cwd(), "temp");
         this.initTempDir();
     }
@@ -30,268 +46,179 @@ export class SimpleCodeExecutor {
     }
 
     /**
-     * Execute code based on language
+     * Fill in default limits for anything the problem does not set
      */
-    async executeCode(code, language, input = "") {
-        const executionId = crypto.randomBytes(16).toString("hex");
-        const executionDir = path.join(this.tempDir, executionId);
-
-        try {
-            await fs.mkdir(executionDir, { recursive: true });
-
-            switch (language) {
-                case "javascript":
-                    return await this.executeJavaScript(code, input, executionDir);
-                case "python":
-                    return await this.executePython(code, input, executionDir);
-                case "java":
-                    return await this.executeJava(code, input, executionDir);
-                default:
-                    throw new Error(`Unsupported language: ${language}`);
-            }
-        } catch (error) {
-            return {
-                success: false,
-                output: "",
-                error: error.message,
-                executionTime: 0
-            };
-        } finally {
-            // Cleanup
-            try {
-                await fs.rm(executionDir, { recursive: true, force: true });
-            } catch (error) {
-                console.error("Error cleaning up execution directory:", error);
-            }
-        }
+    resolveLimits(limits = {}) {
+        return {
+            timeLimitMs: limits.timeLimitMs || EXECUTION_TIMEOUT,
+            memoryLimitBytes: limits.memoryLimitMb ? limits.memoryLimitMb * 1024 * 1024 : MEMORY_LIMIT,
+            outputLimitBytes: limits.outputLimitKb ? limits.outputLimitKb * 1024 : MAX_OUTPUT_SIZE
+        };
     }
 
     /**
-     * Execute JavaScript code using Node.js
+     * Compile phase: write the source into a fresh directory and build it once.
+     * Resolves to { success: true, program } for runProgram(), or to
+     * { success: false, result } holding the failed (usually CE) result.
+     * `prepared` code already went through the language's prepareSource.
      */
-    async executeJavaScript(code, input, executionDir) {
-        const fileName = "solution.js";
-        const filePath = path.join(executionDir, fileName);
-
-        // Wrap code to handle stdin input
-        const wrappedCode = `
-const readline = require('readline');
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
-
-let inputLines = [];
-rl.on('line', (line) => {
-    inputLines.push(line);
-});
-
-rl.on('close', () => {
-    try {
-        ${code}
-    } catch (error) {
-        console.error(error.message);
-        process.exit(1);
-    }
-});
-`;
+    async compile(code, language, { interactive = false, prepared = false } = {}) {
+        const definition = getLanguage(language);
+        if (!definition) {
+            throw new Error(`Unsupported language: ${language}`);
+        }
 
-        await fs.writeFile(filePath, wrappedCode);
+        const executionDir = path.join(this.tempDir, crypto.randomBytes(16).toString("hex"));
+        await fs.mkdir(executionDir, { recursive: true });
 
-        const startTime = Date.now();
+        const program = {
+            language: definition,
+            dir: executionDir,
+            fileName: definition.fileName(code),
+            compileTime: 0
+        };
 
         try {
-            const { stdout, stderr } = await execPromise(`node ${filePath}`, {
-                cwd: executionDir,
-                input: input,
-                timeout: EXECUTION_TIMEOUT,
-                maxBuffer: MAX_OUTPUT_SIZE,
-                killSignal: 'SIGTERM'
-            });
-
-            const executionTime = Date.now() - startTime;
-
-            return {
-                success: !stderr,
-                output: stdout.trim(),
-                error: stderr.trim(),
-                executionTime
-            };
-        } catch (error) {
-            const executionTime = Date.now() - startTime;
-
-            if (error.killed) {
-                return {
-                    success: false,
-                    output: "",
-                    error: "Execution timed out",
-                    executionTime: EXECUTION_TIMEOUT
-                };
+            const source = definition.prepareSource && !prepared ? definition.prepareSource(code, { interactive }) : code;
+            await fs.writeFile(path.join(executionDir, program.fileName), source);
+
+            // Compilation is bounded by the language's compile time limit, not the problem's
+            if (definition.compile) {
+                const compileResult = await this.runProcess(definition.compile.command({ fileName: program.fileName }), executionDir, "", {
+                    compilation: true,
+                    limits: { ...this.resolveLimits(), timeLimitMs: definition.compile.timeLimitMs }
+                });
+                if (!compileResult.success) {
+                    await this.releaseProgram(program);
+                    return { success: false, result: compileResult };
+                }
+                program.compileTime = compileResult.executionTime;
             }
-
-            return {
-                success: false,
-                output: error.stdout?.trim() || "",
-                error: error.stderr?.trim() || error.message,
-                executionTime
-            };
+        } catch (error) {
+            await this.releaseProgram(program);
+            throw error;
         }
+
+        return { success: true, program };
     }
 
     /**
-     * Execute Python code
+     * Run phase: execute a compiled program once against the given input
      */
-    async executePython(code, input, executionDir) {
-        const fileName = "solution.py";
-        const filePath = path.join(executionDir, fileName);
+    async runProgram(program, input = "", limits = {}) {
+        const resolvedLimits = this.resolveLimits(limits);
+        const heapMb = Math.floor(resolvedLimits.memoryLimitBytes / (1024 * 1024));
 
-        await fs.writeFile(filePath, code);
-
-        const startTime = Date.now();
-
-        try {
-            const { stdout, stderr } = await execPromise(`python3 ${filePath}`, {
-                cwd: executionDir,
-                input: input,
-                timeout: EXECUTION_TIMEOUT,
-                maxBuffer: MAX_OUTPUT_SIZE,
-                killSignal: 'SIGTERM'
-            });
-
-            const executionTime = Date.now() - startTime;
-
-            return {
-                success: !stderr,
-                output: stdout.trim(),
-                error: stderr.trim(),
-                executionTime
-            };
-        } catch (error) {
-            const executionTime = Date.now() - startTime;
-
-            if (error.killed) {
-                return {
-                    success: false,
-                    output: "",
-                    error: "Execution timed out",
-                    executionTime: EXECUTION_TIMEOUT
-                };
-            }
-
-            return {
-                success: false,
-                output: error.stdout?.trim() || "",
-                error: error.stderr?.trim() || error.message,
-                executionTime
-            };
-        }
+        return await this.runProcess(program.language.run({ fileName: program.fileName, heapMb }), program.dir, input, {
+            limits: resolvedLimits
+        });
     }
 
     /**
-     * Execute Java code
+     * Run a compiled program against a compiled interactor for one test case.
+     * Only the solution is measured and held to the limits.
      */
-    async executeJava(code, input, executionDir) {
-        const className = this.extractJavaClassName(code);
-        const fileName = `${className}.java`;
-        const filePath = path.join(executionDir, fileName);
-
-        await fs.writeFile(filePath, code);
+    async runInteractive(program, interactorProgram, testCase, limits = {}) {
+        const resolvedLimits = this.resolveLimits(limits);
+        const heapMb = Math.floor(resolvedLimits.memoryLimitBytes / (1024 * 1024));
+        const interactorHeapMb = Math.floor(MEMORY_LIMIT / (1024 * 1024));
+        const usageFile = path.join(this.tempDir, `${crypto.randomBytes(8).toString("hex")}.usage`);
+        const testFiles = await writeTestFiles(interactorProgram.dir, testCase);
 
         const startTime = Date.now();
-
         try {
-            // First compile
-            await execPromise(`javac ${fileName}`, {
-                cwd: executionDir,
-                timeout: EXECUTION_TIMEOUT,
-                maxBuffer: MAX_OUTPUT_SIZE
+            const solutionCommand = program.language.run({ fileName: program.fileName, heapMb });
+            const interactorCommand = interactorProgram.language.run({
+                fileName: interactorProgram.fileName,
+                heapMb: interactorHeapMb
             });
 
-            // Then execute
-            const { stdout, stderr } = await execPromise(`java ${className}`, {
-                cwd: executionDir,
-                input: input,
-                timeout: EXECUTION_TIMEOUT,
-                maxBuffer: MAX_OUTPUT_SIZE,
-                killSignal: 'SIGTERM'
+            const interaction = await runInteraction({
+                solution: { command: measureCommand(solutionCommand, usageFile), cwd: program.dir },
+                interactor: { command: `${interactorCommand} ${testFiles.args}`, cwd: interactorProgram.dir },
+                outputLimitBytes: resolvedLimits.outputLimitBytes,
+                timeoutMs: wallTimeLimit(resolvedLimits.timeLimitMs)
             });
 
-            const executionTime = Date.now() - startTime;
-
-            return {
-                success: !stderr,
-                output: stdout.trim(),
-                error: stderr.trim(),
-                executionTime
-            };
-        } catch (error) {
-            const executionTime = Date.now() - startTime;
-
-            if (error.killed) {
-                return {
-                    success: false,
-                    output: "",
-                    error: "Execution timed out",
-                    executionTime: EXECUTION_TIMEOUT
-                };
-            }
-
-            return {
-                success: false,
-                output: error.stdout?.trim() || "",
-                error: error.stderr?.trim() || error.message,
-                executionTime
-            };
+            return this.interactionResult(interaction, {
+                usage: await readResourceUsage(usageFile),
+                limits: resolvedLimits,
+                timedOut: interaction.killed,
+                executionTime: Date.now() - startTime
+            });
+        } finally {
+            await testFiles.remove();
         }
     }
 
     /**
-     * Extract class name from Java code
+     * Remove a compiled program's directory
      */
-    extractJavaClassName(code) {
-        const match = code.match(/public\s+class\s+(\w+)/);
-        return match ? match[1] : "Solution";
+    async releaseProgram(program) {
+        try {
+            await fs.rm(program.dir, { recursive: true, force: true });
+        } catch (error) {
+            console.error("Error cleaning up execution directory:", error);
+        }
     }
 
     /**
-     * Run test cases against the code
+     * Run a command and classify how it terminated.
+     * Runs (not compilations) also report CPU time (ms) and peak memory (KB),
+     * which take part in the TLE/MLE decision.
      */
-    async runTestCases(code, language, testCases) {
-        const results = [];
+    async runProcess(command, executionDir, input, { compilation = false, limits }) {
+        const usageFile = compilation
+            ? null
+            : path.join(this.tempDir, `${crypto.randomBytes(8).toString("hex")}.usage`);
 
-        for (const testCase of testCases) {
-            const result = await this.executeCode(code, language, testCase.input);
-            
-            const passed = result.success && 
-                          result.output.trim() === testCase.expectedOutput.trim();
+        const startTime = Date.now();
+        let outcome = { exitCode: 0, signal: null, timedOut: false, outputExceeded: false };
+        let stdout = "";
+        let stderr = "";
 
-            results.push({
-                input: testCase.input,
-                expectedOutput: testCase.expectedOutput,
-                actualOutput: result.output,
-                passed,
-                error: result.error,
-                executionTime: result.executionTime,
-                isHidden: testCase.isHidden || false
+        try {
+            const execution = execCommand(usageFile ? measureCommand(command, usageFile) : command, {
+                cwd: executionDir,
+                timeout: wallTimeLimit(limits.timeLimitMs),
+                maxBuffer: limits.outputLimitBytes,
+                killSignal: 'SIGTERM'
             });
 
-            // Stop if execution failed (compilation error, runtime error, etc.)
-            if (!result.success) {
-                break;
+            // Stdin is fed through the child directly;
+            // stored test data is streamed (a program may exit before reading it all)
+            execution.child.stdin.on("error", () => {});
+            if (typeof input === "string") {
+                execution.child.stdin.end(input);
+            } else {
+                pipeline(input.open(), execution.child.stdin).catch(() => {});
             }
+
+            ({ stdout, stderr } = await execution);
+        } catch (error) {
+            outcome = outcomeFromExecError(error);
+            stdout = error.stdout || "";
+            stderr = execFailureMessage(error, outcome);
         }
 
-        const totalTests = testCases.length;
-        const passedTests = results.filter(r => r.passed).length;
+        const executionTime = Date.now() - startTime;
+        const usage = usageFile ? await readResourceUsage(usageFile) : null;
+        const verdict = applyResourceUsage(classifyProcessOutcome({
+            ...outcome,
+            compilation,
+            outOfMemory: !compilation && reportsOutOfMemory(stderr)
+        }), usage, limits);
 
         return {
-            results,
-            summary: {
-                total: totalTests,
-                passed: passedTests,
-                failed: totalTests - passedTests,
-                allPassed: passedTests === totalTests
-            }
+            success: verdict === VERDICTS.ACCEPTED,
+            verdict,
+            output: verdict === VERDICTS.TIME_LIMIT_EXCEEDED ? "" : stdout.trim(),
+            error: describeFailure(verdict, { compilation, usage, limits, stderr: stderr.trim() }),
+            exitCode: outcome.exitCode,
+            signal: outcome.signal,
+            executionTime,
+            cpuTime: usage?.cpuTime ?? null,
+            peakMemory: usage?.peakMemory ?? null
         };
     }
 }
@@ -0,0 +1,139 @@
+import { VERDICTS } from "./verdicts.js";
+import { checkOutput } from "./checkers.js";
+
+/**
+ * Stress testing: look for a small input on which a solution disagrees with
+ * a reference solution.
+ *
+ * The generator reads "<seed> <size>" from stdin and prints one test input;
+ * the same seed and size must give the same input. Sizes grow slowly from 1,
+ * so the first failures found are on the smallest inputs the generator makes.
+ */
+
+// Seeds tried at each size before moving on to the next one
+const SEEDS_PER_SIZE = 5;
+
+/**
+ * Build all programs once, releasing whatever was built if one fails.
+ * Resolves to { programs } or { failure: { role, result } }.
+ */
+async function compileAll(executor, sources) {
+    const programs = {};
+
+    for (const [role, { code, language }] of Object.entries(sources)) {
+        let compiled;
+        try {
+            compiled = await executor.compile(code, language);
+        } catch (error) {
+            compiled = { success: false, result: executor.failedResult(error) };
+        }
+
+        if (!compiled.success) {
+            await Promise.all(Object.values(programs).map(program => executor.releaseProgram(program)));
+            return { failure: { role, result: compiled.result } };
+        }
+        programs[role] = compiled.program;
+    }
+
+    return { programs };
+}
+
+/**
+ * Run the generator, the reference and the candidate's program until they
+ * disagree or the time budget runs out.
+ *
+ * sources: { generator, reference, candidate }, each { code, language }
+ * limits: { reference, candidate } as Problem.getLimits() returns them
+ *
+ * Resolves to { found, iterations, elapsedMs } plus, when found, the failing
+ * { seed, size, input, expectedOutput, actualOutput, verdict, message }.
+ * A generator or reference that fails to compile or run ends the search with
+ * { found: false, error }.
+ */
+export async function stressTest(executor, { sources, limits, checker, timeBudgetMs, maxSize }) {
+    const startTime = Date.now();
+    // A custom checker is built once along with the programs
+    const compiled = await compileAll(executor, checker?.type === "custom"
+        ? { ...sources, checker: { code: checker.code, language: checker.language } }
+        : sources);
+    if (compiled.failure) {
+        const { role, result } = compiled.failure;
+        return {
+            found: false,
+            iterations: 0,
+            elapsedMs: Date.now() - startTime,
+            error: `The ${role} program failed to compile: ${result.error}`
+        };
+    }
+
+    // The budget is for the search; building the programs does not count
+    const { programs } = compiled;
+    const searchStart = Date.now();
+    let iterations = 0;
+    let best = null;
+    let error = null;
+
+    try {
+        while (Date.now() - searchStart < timeBudgetMs) {
+            const size = Math.min(maxSize, 1 + Math.floor(iterations / SEEDS_PER_SIZE));
+            // Once a failure is found, only finish the other seeds of its size
+            if (best && size > best.size) break;
+
+            const seed = iterations + 1;
+            iterations++;
+
+            const generated = await executor.runProgram(programs.generator, `${seed} ${size}\n`);
+            if (generated.verdict !== VERDICTS.ACCEPTED) {
+                error = `The generator failed (seed ${seed}, size ${size}): ${generated.error || generated.verdict}`;
+                break;
+            }
+            // Outputs come back trimmed; programs may expect a final newline
+            const input = `${generated.output}\n`;
+
+            const expected = await executor.runProgram(programs.reference, input, limits.reference);
+            if (expected.verdict !== VERDICTS.ACCEPTED) {
+                error = `The reference solution failed on a generated input (seed ${seed}, size ${size}): ${expected.error || expected.verdict}`;
+                break;
+            }
+
+            const actual = await executor.runProgram(programs.candidate, input, limits.candidate);
+            let verdict = actual.verdict;
+            let message = actual.error;
+            if (verdict === VERDICTS.ACCEPTED) {
+                const check = await checkOutput({
+                    checker,
+                    input,
+                    expected: expected.output,
+                    actual: actual.output,
+                    executor,
+                    checkerProgram: programs.checker
+                });
+                message = check.message;
+                if (!check.passed) verdict = VERDICTS.WRONG_ANSWER;
+            }
+
+            if (verdict !== VERDICTS.ACCEPTED && (!best || input.length < best.input.length)) {
+                best = {
+                    seed,
+                    size,
+                    input,
+                    expectedOutput: expected.output,
+                    actualOutput: actual.output,
+                    verdict,
+                    message
+                };
+            }
+
+            // The largest size never runs out of seeds
+            if (best && size === maxSize) break;
+        }
+    } finally {
+        await Promise.all(Object.values(programs).map(program => executor.releaseProgram(program)));
+    }
+
+    const elapsedMs = Date.now() - startTime;
+    if (best) {
+        return { found: true, iterations, elapsedMs, ...best };
+    }
+    return error ? { found: false, iterations, elapsedMs, error } : { found: false, iterations, elapsedMs };
+}
@@ -0,0 +1,238 @@
+import crypto from "crypto";
+import fs from "fs";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+import mongoose from "mongoose";
+
+import Problem from "../models/Problem.js";
+import { parseMemorySize } from "./sandbox.js";
+
+/**
+ * Test data store: large test inputs and expected outputs live in GridFS,
+ * outside the Problem document, addressed by their SHA-256 so identical data
+ * is stored once.
+ *
+ * Test cases keep small data inline and reference stored data as
+ * { sha256, size }. The executors take either kind: inline data as a string,
+ * stored data as a source ({ size, open(), read() }) that streams from the
+ * store and checks the checksum on the way.
+ *
+ * Data no problem references (left by edited tests, failed imports and
+ * validations, or uploads never used) is removed once it is
+ * TEST_DATA_CLEANUP_AGE old.
+ */
+
+const BUCKET_NAME = "testData";
+
+// Test data larger than this is moved out of the Problem document
+export const INLINE_TEST_DATA_LIMIT = parseMemorySize(process.env.INLINE_TEST_DATA_LIMIT) || 16 * 1024; // 16KB
+export const MAX_TEST_DATA_SIZE = parseMemorySize(process.env.MAX_TEST_DATA_SIZE) || 64 * 1024 * 1024; // 64MB
+
+export const TEST_DATA_TOO_LARGE = "TEST_DATA_TOO_LARGE";
+
+// Unreferenced data is kept this long after its last upload, for the problem that will use it
+const TEST_DATA_CLEANUP_AGE = parseInt(process.env.TEST_DATA_CLEANUP_AGE) || 24 * 60 * 60 * 1000; // 1 day
+const TEST_DATA_CLEANUP_INTERVAL = parseInt(process.env.TEST_DATA_CLEANUP_INTERVAL) || 60 * 60 * 1000; // 1 hour
+
+let bucket = null;
+
+function getBucket() {
+    if (!bucket) {
+        bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+    }
+    return bucket;
+}
+
+export function isTestDataRef(ref) {
+    return Boolean(ref) && typeof ref.sha256 === "string" && /^[0-9a-f]{64}$/.test(ref.sha256) &&
+        Number.isInteger(ref.size) && ref.size >= 0;
+}
+
+/**
+ * Whether the store holds the referenced data
+ */
+export async function testDataExists(ref) {
+    const files = await getBucket().find({ filename: ref.sha256, length: ref.size }).limit(1).toArray();
+    return files.length > 0;
+}
+
+/**
+ * Store test data from a stream, at most MAX_TEST_DATA_SIZE bytes.
+ * Resolves to its reference { sha256, size }.
+ */
+export async function storeTestDataStream(source) {
+    const hash = crypto.createHash("sha256");
+    let size = 0;
+
+    const meter = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (size > MAX_TEST_DATA_SIZE) {
+                const error = new Error(`Test data exceeds ${MAX_TEST_DATA_SIZE} bytes`);
+                error.code = TEST_DATA_TOO_LARGE;
+                return callback(error);
+            }
+            hash.update(chunk);
+            callback(null, chunk);
+        }
+    });
+
+    // The name is only known once everything went through the hash
+    const upload = getBucket().openUploadStream(`pending-${crypto.randomUUID()}`);
+    try {
+        await pipeline(source, meter, upload);
+    } catch (error) {
+        await getBucket().delete(upload.id).catch(() => {});
+        throw error;
+    }
+
+    const sha256 = hash.digest("hex");
+    if (await testDataExists({ sha256, size })) {
+        await getBucket().delete(upload.id);
+        // Uploaded again: cleanup counts its age from now
+        await mongoose.connection.db.collection(`${BUCKET_NAME}.files`)
+            .updateMany({ filename: sha256 }, { $set: { uploadDate: new Date() } });
+    } else {
+        await getBucket().rename(upload.id, sha256);
+    }
+
+    return { sha256, size };
+}
+
+/**
+ * Store test data held in memory
+ */
+export async function storeTestData(text) {
+    return await storeTestDataStream(Readable.from([Buffer.from(text, "utf8")]));
+}
+
+/**
+ * Stream stored test data; the stream fails if the data does not match its checksum
+ */
+export function openTestData(ref) {
+    const hash = crypto.createHash("sha256");
+
+    const verify = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+        },
+        flush(callback) {
+            const actual = hash.digest("hex");
+            callback(actual === ref.sha256 ? null : new Error(`Test data ${ref.sha256} is corrupted (checksum ${actual})`));
+        }
+    });
+
+    const download = getBucket().openDownloadStreamByName(ref.sha256);
+    download.on("error", error => verify.destroy(error));
+    return download.pipe(verify);
+}
+
+/**
+ * Load stored test data as text
+ */
+export async function readTestData(ref) {
+    const chunks = [];
+    for await (const chunk of openTestData(ref)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Executor-facing view of stored test data
+ */
+export function testDataSource(ref) {
+    return {
+        size: ref.size,
+        sha256: ref.sha256,
+        open: () => openTestData(ref),
+        read: () => readTestData(ref)
+    };
+}
+
+/**
+ * Write test data (inline text or a source) to a file without holding stored data in memory
+ */
+export async function writeTestDataFile(filePath, data) {
+    if (typeof data === "string") {
+        await fs.promises.writeFile(filePath, data);
+    } else {
+        await pipeline(data.open(), fs.createWriteStream(filePath));
+    }
+}
+
+/**
+ * A Problem test case as the executors take it
+ */
+export function executableTestCase(testCase) {
+    return {
+        input: isTestDataRef(testCase.inputFile) ? testDataSource(testCase.inputFile) : testCase.input,
+        expectedOutput: isTestDataRef(testCase.outputFile) ? testDataSource(testCase.outputFile) : testCase.expectedOutput,
+        isHidden: testCase.isHidden || false
+    };
+}
+
+/**
+ * Move inline test data over INLINE_TEST_DATA_LIMIT into the store.
+ * Resolves to new test case objects referencing it.
+ */
+export async function externalizeTestCases(testCases) {
+    const externalized = [];
+
+    // One at a time: each may be megabytes
+    for (const testCase of testCases) {
+        const result = { ...testCase };
+
+        for (const [field, refField] of [["input", "inputFile"], ["expectedOutput", "outputFile"]]) {
+            const text = testCase[field];
+            if (typeof text === "string" && Buffer.byteLength(text, "utf8") > INLINE_TEST_DATA_LIMIT) {
+                result[refField] = await storeTestData(text);
+                result[field] = "";
+            }
+        }
+
+        externalized.push(result);
+    }
+
+    return externalized;
+}
+
+/**
+ * Remove stored data that no problem (active or not) references and that was
+ * last uploaded more than `olderThan` ms ago. Resolves to the number of files removed.
+ */
+export async function removeUnreferencedTestData({ olderThan = TEST_DATA_CLEANUP_AGE } = {}) {
+    const referenced = new Set([
+        ...await Problem.distinct("testCases.inputFile.sha256"),
+        ...await Problem.distinct("testCases.outputFile.sha256")
+    ]);
+    const uploadedBefore = new Date(Date.now() - olderThan);
+
+    let removed = 0;
+    for await (const file of getBucket().find({ uploadDate: { $lt: uploadedBefore } })) {
+        if (referenced.has(file.filename)) continue;
+        try {
+            await getBucket().delete(file._id);
+            removed++;
+        } catch {
+            // Removed by another instance
+        }
+    }
+    return removed;
+}
+
+/**
+ * Remove unreferenced test data now and every TEST_DATA_CLEANUP_INTERVAL
+ * (call after connecting to MongoDB)
+ */
+export function startTestDataCleanup() {
+    const cleanup = () => removeUnreferencedTestData()
+        .then(removed => {
+            if (removed > 0) console.log(`Removed ${removed} unreferenced test data file(s)`);
+        })
+        .catch(error => console.error("Error while removing unreferenced test data:", error.message));
+
+    cleanup();
+    setInterval(cleanup, TEST_DATA_CLEANUP_INTERVAL).unref();
+}
@@ -0,0 +1,109 @@
+import os from "os";
+
+/**
+ * Bounded parallel execution of a submission's test cases.
+ *
+ * Tests of one submission run at most TEST_CONCURRENCY_PER_SUBMISSION at a
+ * time, and all submissions in this process together at most
+ * TEST_CONCURRENCY_GLOBAL. Verdicts rely on measured CPU time, which tests
+ * side by side change little, but they do slow each other's wall-clock time:
+ * reported run times, and the wall limit that backs up the CPU limit (see
+ * sandbox.js wallTimeLimit). TEST_CONCURRENCY_GLOBAL defaults to the number
+ * of CPUs so that tests do not wait for one; set above it, a slow test can
+ * hit the wall limit before its CPU limit.
+ */
+
+const TEST_CONCURRENCY_PER_SUBMISSION = parseInt(process.env.TEST_CONCURRENCY_PER_SUBMISSION) || 4;
+const TEST_CONCURRENCY_GLOBAL = parseInt(process.env.TEST_CONCURRENCY_GLOBAL) || Math.max(1, os.cpus().length);
+
+// When to stop starting new tests
+export const STOP_POLICIES = {
+    FIRST_ERROR: "first-error", // the program crashed or hit a limit (wrong answers keep going)
+    FIRST_FAILURE: "first-failure", // any test that did not pass
+    RUN_ALL: "run-all", // never stop early
+};
+
+const DEFAULT_STOP_POLICY = Object.values(STOP_POLICIES).includes(process.env.TEST_STOP_POLICY)
+    ? process.env.TEST_STOP_POLICY
+    : STOP_POLICIES.FIRST_ERROR;
+
+/**
+ * Counting semaphore: at most `limit` holders at once, served in FIFO order
+ */
+class Semaphore {
+    constructor(limit) {
+        this.available = limit;
+        this.waiting = [];
+    }
+
+    async acquire() {
+        if (this.available > 0) {
+            this.available--;
+            return;
+        }
+        await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.available++;
+        }
+    }
+}
+
+const globalSlots = new Semaphore(TEST_CONCURRENCY_GLOBAL);
+
+function shouldStop(stopPolicy, { result, testResult }) {
+    switch (stopPolicy) {
+        case STOP_POLICIES.FIRST_ERROR:
+            return !result.success;
+        case STOP_POLICIES.FIRST_FAILURE:
+            return !testResult.passed;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Run every test case through `runTest(testCase, index)`, which resolves to
+ * { result, testResult }: the raw execution result and the judged test result.
+ *
+ * Tests are started in order. Once a test triggers the stop policy no later
+ * test is started, and results after the first such test are dropped, so the
+ * outcome is the same as running the tests one after another.
+ * Resolves to the judged test results, in test order.
+ */
+export async function runTestsInOrder(testCases, runTest, { stopPolicy = DEFAULT_STOP_POLICY } = {}) {
+    const outcomes = new Array(testCases.length);
+    let nextIndex = 0;
+    let stopIndex = Infinity;
+
+    const worker = async () => {
+        while (true) {
+            const index = nextIndex++;
+            if (index >= testCases.length || index > stopIndex) return;
+
+            await globalSlots.acquire();
+            try {
+                // Waiting for a slot may have outlived the need for this test
+                if (index > stopIndex) return;
+                outcomes[index] = await runTest(testCases[index], index);
+            } finally {
+                globalSlots.release();
+            }
+
+            if (shouldStop(stopPolicy, outcomes[index])) {
+                stopIndex = Math.min(stopIndex, index);
+            }
+        }
+    };
+
+    const workerCount = Math.min(TEST_CONCURRENCY_PER_SUBMISSION, testCases.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    const lastIndex = Math.min(stopIndex, testCases.length - 1);
+    return outcomes.slice(0, lastIndex + 1).map(outcome => outcome.testResult);
+}
@@ -0,0 +1,54 @@
+import { VERDICTS } from "./verdicts.js";
+import { runTestsInOrder, STOP_POLICIES } from "./testRunner.js";
+
+/**
+ * Input validators: the problem author's program that checks a test input
+ * against the problem's constraints.
+ *
+ * A validator reads one input from stdin and exits 0 when it is valid.
+ * Otherwise it exits non-zero and says why on stderr (or stdout).
+ */
+
+/**
+ * Why a validator run rejected its input
+ */
+function rejectionMessage(result) {
+    if (result.verdict === VERDICTS.TIME_LIMIT_EXCEEDED || result.verdict === VERDICTS.MEMORY_LIMIT_EXCEEDED) {
+        return `Validator hit a limit: ${result.error}`;
+    }
+    return result.error || result.output || `Validator exited with code ${result.exitCode}`;
+}
+
+/**
+ * Run the validator against each input, compiling it once.
+ * Resolves to the rejected inputs as [{ index, message }], in input order.
+ * Throws when the validator does not compile.
+ */
+export async function validateInputs(validator, inputs, executor) {
+    const compiled = await executor.compile(validator.code, validator.language);
+    if (!compiled.success) {
+        throw new Error(`Input validator failed to compile: ${compiled.result.error}`);
+    }
+
+    const { program } = compiled;
+    try {
+        const checks = await runTestsInOrder(inputs, async (input, index) => {
+            const result = await executor.runProgram(program, input);
+            // Backends that build on every run report a broken build here
+            if (result.verdict === VERDICTS.COMPILATION_ERROR) {
+                throw new Error(`Input validator failed to compile: ${result.error}`);
+            }
+            const valid = result.verdict === VERDICTS.ACCEPTED;
+            return {
+                result,
+                testResult: { index, valid, message: valid ? "" : rejectionMessage(result) }
+            };
+        }, { stopPolicy: STOP_POLICIES.RUN_ALL });
+
+        return checks
+            .filter(check => !check.valid)
+            .map(({ index, message }) => ({ index, message }));
+    } finally {
+        await executor.releaseProgram(program);
+    }
+}
@@ -0,0 +1,185 @@
+import os from "os";
+
+/**
+ * Machine-readable verdict codes shared by the executors, controllers and models
+ */
+export const VERDICTS = {
+    ACCEPTED: "AC",
+    WRONG_ANSWER: "WA",
+    TIME_LIMIT_EXCEEDED: "TLE",
+    MEMORY_LIMIT_EXCEEDED: "MLE",
+    RUNTIME_ERROR: "RE",
+    COMPILATION_ERROR: "CE",
+    OUTPUT_LIMIT_EXCEEDED: "OLE",
+};
+
+export const VERDICT_LABELS = {
+    AC: "Accepted",
+    WA: "Wrong Answer",
+    TLE: "Time Limit Exceeded",
+    MLE: "Memory Limit Exceeded",
+    RE: "Runtime Error",
+    CE: "Compilation Error",
+    OLE: "Output Limit Exceeded",
+};
+
+export const VERDICT_CODES = Object.values(VERDICTS);
+
+// Exit code reported by coreutils `timeout` when it kills the command
+export const TIMEOUT_EXIT_CODE = 124;
+
+// Shells report a child killed by signal N as exit code 128 + N
+const SHELL_SIGNAL_OFFSET = 128;
+
+// What runtimes print when an allocation fails: a program that hits its
+// address-space rlimit or heap cap usually dies this way, not by SIGKILL,
+// with its peak memory still far below the limit
+const OUT_OF_MEMORY_PATTERNS = [
+    /^MemoryError\b/m, // Python
+    /std::bad_alloc/, // C++
+    /memory allocation of \d+ bytes failed/, // Rust
+    /fatal error: (runtime: )?out of memory/, // Go
+    /JavaScript heap out of memory|Fatal process out of memory/, // Node.js
+    /java\.lang\.OutOfMemoryError/, // Java
+];
+
+function signalName(signal, exitCode) {
+    if (signal) return signal;
+    if (typeof exitCode === "number" && exitCode > SHELL_SIGNAL_OFFSET) {
+        const signalNumber = exitCode - SHELL_SIGNAL_OFFSET;
+        return Object.keys(os.constants.signals)
+            .find(name => os.constants.signals[name] === signalNumber) || null;
+    }
+    return null;
+}
+
+/**
+ * Whether a program's stderr shows it failed to allocate memory
+ */
+export function reportsOutOfMemory(stderr = "") {
+    return OUT_OF_MEMORY_PATTERNS.some(pattern => pattern.test(stderr));
+}
+
+/**
+ * Decide the verdict of a single process run from how it terminated.
+ * A clean exit is reported as Accepted; output comparison happens later.
+ * A run that crashed with `outOfMemory` (see reportsOutOfMemory) is MLE.
+ */
+export function classifyProcessOutcome({
+    exitCode = 0,
+    signal = null,
+    timedOut = false,
+    outputExceeded = false,
+    compilation = false,
+    outOfMemory = false,
+}) {
+    if (outputExceeded) return VERDICTS.OUTPUT_LIMIT_EXCEEDED;
+    if (timedOut) return VERDICTS.TIME_LIMIT_EXCEEDED;
+
+    const killedBy = signalName(signal, exitCode);
+
+    if (compilation) {
+        // Anything other than a clean compiler exit is the candidate's fault,
+        // except the compiler itself running out of time
+        if (killedBy === "SIGXCPU") return VERDICTS.TIME_LIMIT_EXCEEDED;
+        return exitCode === 0 && !killedBy ? VERDICTS.ACCEPTED : VERDICTS.COMPILATION_ERROR;
+    }
+
+    switch (killedBy) {
+        case null:
+            break;
+        case "SIGXCPU": // CPU time rlimit
+            return VERDICTS.TIME_LIMIT_EXCEEDED;
+        case "SIGXFSZ": // File size rlimit
+            return VERDICTS.OUTPUT_LIMIT_EXCEEDED;
+        case "SIGKILL": // OOM killer / address space exhaustion
+            return VERDICTS.MEMORY_LIMIT_EXCEEDED;
+        default:
+            return outOfMemory ? VERDICTS.MEMORY_LIMIT_EXCEEDED : VERDICTS.RUNTIME_ERROR;
+    }
+
+    if (exitCode === 0) return VERDICTS.ACCEPTED;
+    return outOfMemory ? VERDICTS.MEMORY_LIMIT_EXCEEDED : VERDICTS.RUNTIME_ERROR;
+}
+
+/**
+ * Refine an exit-based verdict with the run's measured resource usage
+ * ({ cpuTime } in ms, { peakMemory } in KB): a run over its CPU time or
+ * memory limit is TLE or MLE however it ended. A SIGKILL is only blamed on
+ * memory when the CPU time hard limit was not the cause.
+ */
+export function applyResourceUsage(verdict, usage, { timeLimitMs, memoryLimitBytes = null }) {
+    if (!usage) return verdict;
+
+    const refinable = [VERDICTS.ACCEPTED, VERDICTS.RUNTIME_ERROR, VERDICTS.MEMORY_LIMIT_EXCEEDED];
+    if (!refinable.includes(verdict)) return verdict;
+
+    if (usage.cpuTime > timeLimitMs) return VERDICTS.TIME_LIMIT_EXCEEDED;
+    if (memoryLimitBytes && usage.peakMemory * 1024 > memoryLimitBytes) return VERDICTS.MEMORY_LIMIT_EXCEEDED;
+    return verdict;
+}
+
+/**
+ * Error text for a run result: the program's stderr, or what limit it hit
+ */
+export function describeFailure(verdict, { compilation = false, usage = null, limits, stderr = "" }) {
+    switch (verdict) {
+        case VERDICTS.TIME_LIMIT_EXCEEDED:
+            if (compilation) return "Compilation timed out";
+            return usage && usage.cpuTime > limits.timeLimitMs
+                ? `CPU time ${usage.cpuTime}ms exceeded the ${limits.timeLimitMs}ms limit`
+                : "Execution timed out";
+        case VERDICTS.OUTPUT_LIMIT_EXCEEDED:
+            return `Output exceeded ${limits.outputLimitBytes} bytes`;
+        case VERDICTS.MEMORY_LIMIT_EXCEEDED:
+            if (usage && limits.memoryLimitBytes && usage.peakMemory * 1024 > limits.memoryLimitBytes) {
+                const limitMb = Math.round(limits.memoryLimitBytes / (1024 * 1024));
+                return `Peak memory ${Math.ceil(usage.peakMemory / 1024)}MB exceeded the ${limitMb}MB limit`;
+            }
+            if (limits.memoryLimitBytes && reportsOutOfMemory(stderr)) {
+                return `Memory allocation failed under the ${Math.round(limits.memoryLimitBytes / (1024 * 1024))}MB limit`;
+            }
+            return stderr;
+        default:
+            return stderr;
+    }
+}
+
+/**
+ * Translate a rejected child_process.exec error into process outcome fields
+ */
+export function outcomeFromExecError(error, { timeoutExitCode = null } = {}) {
+    const outputExceeded = error.code === "ERR_CHILD_PROCESS_STDIO_MAXBUFFER";
+    const exitCode = typeof error.code === "number" ? error.code : null;
+
+    return {
+        exitCode,
+        signal: error.signal || null,
+        outputExceeded,
+        timedOut: !outputExceeded && (
+            (error.killed && error.signal === "SIGTERM") ||
+            (timeoutExitCode !== null && exitCode === timeoutExitCode)
+        ),
+    };
+}
+
+/**
+ * What a failed run reports as its error: the program's own stderr, never
+ * exec's "Command failed: ..." message, which holds the wrapper command
+ * (sandbox, usage reporter) and host paths
+ */
+export function execFailureMessage(error, outcome) {
+    if (error.stderr) return error.stderr;
+    const signal = signalName(outcome.signal, outcome.exitCode);
+    if (signal) return `Killed by signal ${signal}`;
+    if (outcome.exitCode !== null) return `Exited with code ${outcome.exitCode}`;
+    return "";
+}
+
+/**
+ * Overall verdict of a submission: the first non-accepted test verdict wins
+ */
+export function getOverallVerdict(results) {
+    const failed = results.find(result => result.verdict !== VERDICTS.ACCEPTED);
+    return failed ? failed.verdict : VERDICTS.ACCEPTED;
+}
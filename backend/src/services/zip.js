@@ -0,0 +1,270 @@
+import zlib from "zlib";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { promisify } from "util";
+
+/**
+ * Minimal zip archive support for problem packages (see problemPackage.js):
+ * stored and deflated entries, no encryption, no zip64 (so archives and
+ * entries stay under 4GB, far above what packages are allowed to be).
+ *
+ * Reading trusts only the central directory and checks every entry's size
+ * and CRC, with the total uncompressed size capped so a small archive
+ * cannot expand into gigabytes.
+ */
+
+const deflateRaw = promisify(zlib.deflateRaw);
+const inflateRaw = promisify(zlib.inflateRaw);
+
+export const ZIP_INVALID = "ZIP_INVALID";
+export const ZIP_TOO_LARGE = "ZIP_TOO_LARGE";
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const FLAG_ENCRYPTED = 0x1;
+const FLAG_UTF8 = 0x800;
+const VERSION = 20; // 2.0: deflate and directories
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+// CRC of `buffer`, or of what came before it when `previous` is that data's CRC
+function crc32(buffer, previous = 0) {
+    let crc = previous ^ -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+function zipError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// MS-DOS date and time fields
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Entry names are relative paths with forward slashes that stay inside the archive
+function safeEntryName(name) {
+    const normalized = name.replace(/\\/g, "/");
+    if (normalized.startsWith("/") || /^[a-zA-Z]:/.test(normalized) || normalized.split("/").includes("..")) {
+        return null;
+    }
+    return normalized;
+}
+
+/**
+ * Build an archive entry by entry, holding only compressed data. Data is a
+ * Buffer or string, deflated unless that does not make it smaller, or a
+ * readable stream, deflated as it is read. toBuffer() ends the archive.
+ */
+export class ZipWriter {
+    constructor() {
+        const { time, date } = dosDateTime(new Date());
+        this.time = time;
+        this.date = date;
+        this.localParts = [];
+        this.centralParts = [];
+        this.offset = 0;
+        this.entryCount = 0;
+    }
+
+    async add(name, data) {
+        if (typeof data === "string" || Buffer.isBuffer(data)) {
+            const content = Buffer.isBuffer(data) ? data : Buffer.from(data, "utf8");
+            const deflated = await deflateRaw(content);
+            const method = deflated.length < content.length ? METHOD_DEFLATED : METHOD_STORED;
+            this.addEntry(name, {
+                method,
+                stored: method === METHOD_DEFLATED ? deflated : content,
+                crc: crc32(content),
+                size: content.length
+            });
+            return;
+        }
+
+        let crc = 0;
+        let size = 0;
+        const chunks = [];
+        const measure = new Transform({
+            transform(chunk, encoding, callback) {
+                crc = crc32(chunk, crc);
+                size += chunk.length;
+                callback(null, chunk);
+            }
+        });
+        await pipeline(data, measure, zlib.createDeflateRaw(), async function (deflated) {
+            for await (const chunk of deflated) {
+                chunks.push(chunk);
+            }
+        });
+        this.addEntry(name, { method: METHOD_DEFLATED, stored: Buffer.concat(chunks), crc, size });
+    }
+
+    addEntry(name, { method, stored, crc, size }) {
+        const nameBuffer = Buffer.from(name, "utf8");
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+        local.writeUInt16LE(VERSION, 4);
+        local.writeUInt16LE(FLAG_UTF8, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(this.time, 10);
+        local.writeUInt16LE(this.date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(stored.length, 18);
+        local.writeUInt32LE(size, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+        central.writeUInt16LE(VERSION, 4);
+        central.writeUInt16LE(VERSION, 6);
+        central.writeUInt16LE(FLAG_UTF8, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(this.time, 12);
+        central.writeUInt16LE(this.date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(stored.length, 20);
+        central.writeUInt32LE(size, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        // Extra field, comment, disk number, internal attributes: all zero
+        central.writeUInt32LE(0, 38); // external attributes
+        central.writeUInt32LE(this.offset, 42);
+
+        this.localParts.push(local, nameBuffer, stored);
+        this.centralParts.push(central, nameBuffer);
+        this.offset += local.length + nameBuffer.length + stored.length;
+        this.entryCount++;
+    }
+
+    toBuffer() {
+        const centralDirectory = Buffer.concat(this.centralParts);
+        const end = Buffer.alloc(END_OF_CENTRAL_DIRECTORY_SIZE);
+        end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+        end.writeUInt16LE(this.entryCount, 8);
+        end.writeUInt16LE(this.entryCount, 10);
+        end.writeUInt32LE(centralDirectory.length, 12);
+        end.writeUInt32LE(this.offset, 16);
+
+        return Buffer.concat([...this.localParts, centralDirectory, end]);
+    }
+}
+
+function findEndOfCentralDirectory(buffer) {
+    const earliest = Math.max(0, buffer.length - END_OF_CENTRAL_DIRECTORY_SIZE - MAX_COMMENT_SIZE);
+    for (let i = buffer.length - END_OF_CENTRAL_DIRECTORY_SIZE; i >= earliest; i--) {
+        if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) return i;
+    }
+    throw zipError(ZIP_INVALID, "Not a zip archive");
+}
+
+/**
+ * Read an archive; resolves to a Map of entry name -> Buffer (directories left out).
+ * Fails with an error with code ZIP_INVALID for malformed or unsupported archives
+ * and ZIP_TOO_LARGE past maxEntries or maxSize uncompressed bytes.
+ */
+export async function readZip(buffer, { maxEntries = 10000, maxSize = Infinity } = {}) {
+    const end = findEndOfCentralDirectory(buffer);
+    const entryCount = buffer.readUInt16LE(end + 10);
+    const directorySize = buffer.readUInt32LE(end + 12);
+    const directoryOffset = buffer.readUInt32LE(end + 16);
+
+    if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+        throw zipError(ZIP_INVALID, "Zip64 archives are not supported");
+    }
+    if (directoryOffset + directorySize > end) {
+        throw zipError(ZIP_INVALID, "Corrupt zip central directory");
+    }
+    if (entryCount > maxEntries) {
+        throw zipError(ZIP_TOO_LARGE, `Archives can hold at most ${maxEntries} entries`);
+    }
+
+    const entries = new Map();
+    let totalSize = 0;
+    let position = directoryOffset;
+
+    for (let i = 0; i < entryCount; i++) {
+        if (position + 46 > end || buffer.readUInt32LE(position) !== CENTRAL_HEADER_SIGNATURE) {
+            throw zipError(ZIP_INVALID, "Corrupt zip central directory");
+        }
+
+        const flags = buffer.readUInt16LE(position + 8);
+        const method = buffer.readUInt16LE(position + 10);
+        const crc = buffer.readUInt32LE(position + 16);
+        const compressedSize = buffer.readUInt32LE(position + 20);
+        const size = buffer.readUInt32LE(position + 24);
+        const nameLength = buffer.readUInt16LE(position + 28);
+        const extraLength = buffer.readUInt16LE(position + 30);
+        const commentLength = buffer.readUInt16LE(position + 32);
+        const localOffset = buffer.readUInt32LE(position + 42);
+        const rawName = buffer.toString(flags & FLAG_UTF8 ? "utf8" : "latin1", position + 46, position + 46 + nameLength);
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (rawName.endsWith("/")) continue;
+
+        const name = safeEntryName(rawName);
+        if (!name) {
+            throw zipError(ZIP_INVALID, `Unsafe entry name: ${rawName}`);
+        }
+        if (flags & FLAG_ENCRYPTED) {
+            throw zipError(ZIP_INVALID, `Encrypted entries are not supported: ${name}`);
+        }
+        if (method !== METHOD_STORED && method !== METHOD_DEFLATED) {
+            throw zipError(ZIP_INVALID, `Unsupported compression method ${method}: ${name}`);
+        }
+        if (compressedSize === 0xffffffff || size === 0xffffffff) {
+            throw zipError(ZIP_INVALID, "Zip64 archives are not supported");
+        }
+
+        totalSize += size;
+        if (totalSize > maxSize) {
+            throw zipError(ZIP_TOO_LARGE, `Archive contents cannot exceed ${maxSize} bytes`);
+        }
+
+        if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER_SIGNATURE) {
+            throw zipError(ZIP_INVALID, `Corrupt zip entry: ${name}`);
+        }
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        if (dataStart + compressedSize > buffer.length) {
+            throw zipError(ZIP_INVALID, `Corrupt zip entry: ${name}`);
+        }
+        const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        let content;
+        try {
+            // Never inflate past the declared size
+            content = method === METHOD_DEFLATED
+                ? await inflateRaw(compressed, { maxOutputLength: Math.max(size, 1) })
+                : compressed;
+        } catch (error) {
+            throw zipError(ZIP_INVALID, `Corrupt zip entry: ${name}`);
+        }
+        if (content.length !== size || crc32(content) !== crc) {
+            throw zipError(ZIP_INVALID, `Corrupt zip entry: ${name}`);
+        }
+
+        entries.set(name, content);
+    }
+
+    return entries;
+}